@@ -0,0 +1,309 @@
+// alerts.js - Threshold alert rules, scheduled evaluation and webhook delivery
+//
+// Rule types:
+//   metric    - a loan metric or ratio ("gross_recovered/gross_lent") summed over the latest
+//               `window_days` load dates for a telco and optional loan_type
+//   npl       - a field of the latest NPL snapshot (e.g. arrears_percentage) for a loan_type
+//   freshness - fires when yesterday's load_date has not arrived by `deadline_time` (HH:mm)
+//
+// Rules are re-evaluated every ALERT_EVALUATION_INTERVAL_MS and whenever the loan/NPL tables
+// receive new data (polled every ALERT_DATA_POLL_MS, or signalled after an ingestion). Only
+// state transitions (ok -> firing, firing -> ok) are recorded in alert_events and POSTed to
+// the rule's webhook_url, falling back to ALERT_WEBHOOK_URL.
+
+const http = require('http');
+const https = require('https');
+const moment = require('moment');
+const { getTelco, resolveLoanTables, resolveNplTelcos } = require('./registry');
+const { logger } = require('./logger');
+
+const ALERT_EVALUATION_INTERVAL_MS = parseInt(process.env.ALERT_EVALUATION_INTERVAL_MS) || 5 * 60 * 1000;
+const ALERT_DATA_POLL_MS = parseInt(process.env.ALERT_DATA_POLL_MS) || 60 * 1000;
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || null;
+const ALERT_WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 10000;
+
+const RULE_TYPES = ['metric', 'npl', 'freshness'];
+
+const OPERATORS = {
+  lt: (value, threshold) => value < threshold,
+  lte: (value, threshold) => value <= threshold,
+  gt: (value, threshold) => value > threshold,
+  gte: (value, threshold) => value >= threshold
+};
+
+const RULE_FIELDS = [
+  'name', 'rule_type', 'telco', 'loan_type', 'metric', 'operator',
+  'threshold', 'window_days', 'deadline_time', 'webhook_url', 'enabled'
+];
+
+// POST a JSON payload; resolves with the HTTP status or rejects on network error/timeout
+const postJson = (url, payload) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const body = JSON.stringify(payload);
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'content-length': Buffer.byteLength(body) },
+    timeout: ALERT_WEBHOOK_TIMEOUT_MS
+  }, (response) => {
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+  });
+  request.on('timeout', () => request.destroy(new Error(`Webhook timed out after ${ALERT_WEBHOOK_TIMEOUT_MS}ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+const formatRule = (row) => ({
+  ...row,
+  threshold: row.threshold === null ? null : parseFloat(row.threshold),
+  last_value: row.last_value === null ? null : parseFloat(row.last_value),
+  enabled: !!row.enabled,
+  last_evaluated_at: row.last_evaluated_at ? moment(row.last_evaluated_at).format('YYYY-MM-DD HH:mm:ss') : null
+});
+
+/**
+ * @param {object} deps
+ * @param {object} deps.pool - mysql2 pool
+ * @param {string[]} deps.loanMetrics - metric names fetchMetricTotals understands
+ * @param {string[]} deps.nplMetrics - numeric fields of a formatted NPL snapshot row
+ * @param {Function} deps.fetchMetricTotals - (tables, { startDate, endDate, loanType, metricNames }) => totals
+ * @param {Function} deps.fetchNplSnapshots - (telco, { report_date }) => formatted NPL rows
+ */
+const createAlertEngine = ({ pool, loanMetrics, nplMetrics, fetchMetricTotals, fetchNplSnapshots }) => {
+  let timer = null;
+  let running = null;
+  let lastDataToken = null;
+  let lastFullRun = 0;
+
+  // Validate a rule body; `existing` supplies defaults for partial updates. Returns { errors, rule }.
+  const validateRule = (body, existing = {}) => {
+    const rule = {};
+    RULE_FIELDS.forEach(field => {
+      rule[field] = body[field] !== undefined ? body[field] : existing[field];
+    });
+    rule.window_days = [undefined, null, ''].includes(rule.window_days) ? 1 : Number(rule.window_days);
+    rule.enabled = rule.enabled === undefined ? true : rule.enabled === true || rule.enabled === 1 || rule.enabled === 'true';
+    rule.telco = rule.telco ? String(rule.telco).toLowerCase() : rule.telco;
+
+    const errors = [];
+    if (!rule.name) errors.push('name is required');
+    if (!RULE_TYPES.includes(rule.rule_type)) errors.push(`rule_type must be one of ${RULE_TYPES.join(', ')}`);
+    if (!rule.telco || !getTelco(rule.telco)) errors.push('telco must be a registered telco id');
+    if (!Number.isInteger(rule.window_days) || rule.window_days < 1) errors.push('window_days must be a whole number of at least 1');
+
+    if (rule.rule_type === 'metric' || rule.rule_type === 'npl') {
+      if (!OPERATORS[rule.operator]) errors.push(`operator must be one of ${Object.keys(OPERATORS).join(', ')}`);
+      if (rule.threshold === undefined || rule.threshold === null || !Number.isFinite(Number(rule.threshold))) {
+        errors.push('threshold must be a number');
+      }
+    }
+
+    if (rule.rule_type === 'metric') {
+      const parts = String(rule.metric || '').split('/').map(part => part.trim());
+      if (parts.length > 2 || parts.some(part => !loanMetrics.includes(part))) {
+        errors.push(`metric must be a loan metric or "numerator/denominator" of: ${loanMetrics.join(', ')}`);
+      }
+    }
+
+    if (rule.rule_type === 'npl') {
+      if (!nplMetrics.includes(rule.metric)) errors.push(`metric must be one of ${nplMetrics.join(', ')}`);
+      if (!rule.loan_type) errors.push('loan_type is required for npl rules (e.g. "7 Days Loan" or "Grand Total")');
+      if (rule.telco && getTelco(rule.telco) && !getTelco(rule.telco).npl_tables) errors.push('telco has no NPL tables registered');
+    }
+
+    if (rule.rule_type === 'freshness' && !moment(rule.deadline_time, 'HH:mm', true).isValid()) {
+      errors.push('deadline_time must be HH:mm');
+    }
+
+    if (rule.webhook_url) {
+      try {
+        const { protocol } = new URL(rule.webhook_url);
+        if (!['http:', 'https:'].includes(protocol)) errors.push('webhook_url must be http(s)');
+      } catch (error) {
+        errors.push('webhook_url is not a valid URL');
+      }
+    }
+
+    return { errors, rule };
+  };
+
+  // Evaluate one rule: returns { breached, value, message }. breached null = not evaluable (no data)
+  const evaluateRule = async (rule) => {
+    const telco = getTelco(rule.telco);
+    if (!telco) return { breached: null, value: null, message: `Telco ${rule.telco} is no longer registered` };
+
+    if (rule.rule_type === 'freshness') {
+      const [[{ latest_date: latestDate }]] = await pool.query(`SELECT MAX(load_date) AS latest_date FROM ${telco.loan_table}`);
+      const expected = moment().subtract(1, 'days').format('YYYY-MM-DD');
+      const latest = latestDate ? moment(latestDate).format('YYYY-MM-DD') : null;
+      const deadline = moment(rule.deadline_time, 'HH:mm');
+      const late = moment().isSameOrAfter(deadline) && (!latest || latest < expected);
+      return {
+        breached: late,
+        value: latest ? moment().startOf('day').diff(moment(latest), 'days') : null,
+        message: late
+          ? `${telco.name} load_date ${expected} not received by ${rule.deadline_time} (latest ${latest || 'none'})`
+          : `${telco.name} latest load_date ${latest}`
+      };
+    }
+
+    const threshold = parseFloat(rule.threshold);
+    const compare = OPERATORS[rule.operator];
+
+    if (rule.rule_type === 'npl') {
+      const rows = await fetchNplSnapshots(telco, {});
+      const row = rows.find(snapshot => snapshot.loan_type === rule.loan_type);
+      if (!row) return { breached: null, value: null, message: `No NPL snapshot for ${rule.loan_type}` };
+      const value = row[rule.metric];
+      return {
+        breached: compare(value, threshold),
+        value,
+        message: `${telco.name} ${rule.loan_type} ${rule.metric} = ${value} on ${row.report_date} (${rule.operator} ${threshold})`
+      };
+    }
+
+    // metric rule over the latest window_days load dates
+    const tables = resolveLoanTables(telco.id);
+    const [[{ latest_date: latestDate }]] = await pool.query(
+      `SELECT MAX(load_date) AS latest_date FROM ${tables[0].table} WHERE ${tables[0].filter}`
+    );
+    if (!latestDate) return { breached: null, value: null, message: `${telco.name} has no loan data` };
+
+    const endDate = moment(latestDate).format('YYYY-MM-DD');
+    const startDate = moment(latestDate).subtract(rule.window_days - 1, 'days').format('YYYY-MM-DD');
+    const [numerator, denominator] = rule.metric.split('/').map(part => part.trim());
+    const totals = await fetchMetricTotals(tables, {
+      startDate,
+      endDate,
+      loanType: rule.loan_type,
+      metricNames: denominator ? [numerator, denominator] : [numerator]
+    });
+
+    if (denominator && !totals[denominator]) {
+      return { breached: null, value: null, message: `${denominator} is zero for ${startDate}..${endDate}` };
+    }
+    const value = denominator ? totals[numerator] / totals[denominator] : totals[numerator];
+    return {
+      breached: compare(value, threshold),
+      value,
+      message: `${telco.name}${rule.loan_type ? ` ${rule.loan_type}` : ''} ${rule.metric} = ${Math.round(value * 10000) / 10000} for ${startDate}..${endDate} (${rule.operator} ${threshold})`
+    };
+  };
+
+  const deliver = async (rule, event) => {
+    const url = rule.webhook_url || ALERT_WEBHOOK_URL;
+    if (!url) return { url: null, status: 'no_webhook', error: null };
+
+    try {
+      const status = await postJson(url, event);
+      return status >= 200 && status < 300
+        ? { url, status: 'delivered', error: null }
+        : { url, status: 'failed', error: `Webhook responded ${status}` };
+    } catch (error) {
+      return { url, status: 'failed', error: error.message.slice(0, 512) };
+    }
+  };
+
+  const runEvaluation = async (triggerSource) => {
+    const [rules] = await pool.query('SELECT * FROM alert_rules WHERE enabled = 1');
+    const results = [];
+
+    for (const rule of rules.map(formatRule)) {
+      try {
+        const { breached, value, message } = await evaluateRule(rule);
+        const previousState = rule.state;
+        const state = breached === null ? previousState : breached ? 'firing' : 'ok';
+
+        await pool.query(
+          'UPDATE alert_rules SET state = ?, last_value = ?, last_evaluated_at = NOW() WHERE id = ?',
+          [state, value, rule.id]
+        );
+
+        if (state !== previousState) {
+          const event = {
+            rule: { id: rule.id, name: rule.name, rule_type: rule.rule_type, telco: rule.telco, loan_type: rule.loan_type, metric: rule.metric, operator: rule.operator, threshold: rule.threshold },
+            state: state === 'firing' ? 'firing' : 'resolved',
+            previous_state: previousState,
+            value,
+            message,
+            trigger: triggerSource,
+            evaluated_at: new Date().toISOString()
+          };
+          const delivery = await deliver(rule, event);
+          await pool.query(
+            `INSERT INTO alert_events
+              (rule_id, previous_state, state, value, message, trigger_source, webhook_url, delivery_status, delivery_error)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [rule.id, previousState, state, value, message.slice(0, 512), triggerSource, delivery.url, delivery.status, delivery.error]
+          );
+          logger.warn('Alert state changed', { rule_id: rule.id, rule: rule.name, from: previousState, to: state, message, webhook: delivery.status });
+        }
+
+        results.push({ rule_id: rule.id, name: rule.name, previous_state: previousState, state, value, message });
+      } catch (error) {
+        logger.error('Alert rule evaluation failed', { rule_id: rule.id, error });
+        results.push({ rule_id: rule.id, name: rule.name, error: error.message });
+      }
+    }
+
+    lastFullRun = Date.now();
+    return results;
+  };
+
+  // Evaluate every enabled rule; concurrent callers share the run already in progress
+  const evaluateAll = (triggerSource = 'manual') => {
+    if (!running) {
+      running = runEvaluation(triggerSource).finally(() => { running = null; });
+    }
+    return running;
+  };
+
+  // Cheap token that changes whenever any loan or NPL table receives new data
+  const dataToken = async () => {
+    const parts = [];
+    for (const { table } of resolveLoanTables('all')) {
+      const [[row]] = await pool.query(`SELECT MAX(processed_at) AS latest FROM ${table}`);
+      parts.push(`${table}@${row.latest ? moment(row.latest).format('YYYY-MM-DD HH:mm:ss') : ''}`);
+    }
+    for (const telco of resolveNplTelcos('all')) {
+      for (const table of Object.values(telco.npl_tables)) {
+        const [[row]] = await pool.query(`SELECT MAX(report_date) AS latest FROM ${table}`);
+        parts.push(`${table}@${row.latest ? moment(row.latest).format('YYYY-MM-DD') : ''}`);
+      }
+    }
+    return parts.join('|');
+  };
+
+  const tick = async () => {
+    try {
+      const token = await dataToken();
+      const newData = lastDataToken !== null && token !== lastDataToken;
+      lastDataToken = token;
+
+      if (newData) {
+        await evaluateAll('new_data');
+      } else if (Date.now() - lastFullRun >= ALERT_EVALUATION_INTERVAL_MS) {
+        await evaluateAll('schedule');
+      }
+    } catch (error) {
+      logger.error('Alert scheduler tick failed', { error });
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, ALERT_DATA_POLL_MS);
+    timer.unref();
+    tick();
+    logger.info('Alert scheduler started', { interval_ms: ALERT_EVALUATION_INTERVAL_MS, data_poll_ms: ALERT_DATA_POLL_MS });
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return { validateRule, evaluateAll, start, stop, formatRule, RULE_FIELDS };
+};
+
+module.exports = { createAlertEngine, postJson, RULE_TYPES, OPERATORS };
@@ -0,0 +1,136 @@
+// auth.js - API key authentication, roles and per-telco data scoping
+//
+// Keys are read from API_KEYS_FILE (default src/config/api-keys.json). Only the SHA-256
+// hash of each key is stored; clients send the key as `Authorization: Bearer <key>` or
+// `X-API-Key: <key>`. Each key has a role and the telcos whose rows it may receive.
+// Set AUTH_DISABLED=true to run without authentication during local development.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getTelco } = require('./registry');
+const { logger } = require('./logger');
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE
+  ? path.resolve(process.env.API_KEYS_FILE)
+  : path.join(__dirname, 'config', 'api-keys.json');
+
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+
+// Roles in increasing order of privilege - each role can do everything the ones before it can
+const ROLES = ['viewer', 'analyst', 'admin'];
+
+// Wildcard telco scope granting every registered telco
+const ALL_SCOPE = '*';
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const loadKeys = (file) => {
+  if (!fs.existsSync(file)) {
+    logger.warn('No API key file - every authenticated request will be rejected', { file });
+    return [];
+  }
+
+  const { keys } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return (keys || []).map(entry => {
+    if (!entry.name || !entry.key_hash || !ROLES.includes(entry.role)) {
+      throw new Error(`Invalid API key entry in ${file}: ${JSON.stringify({ ...entry, key_hash: undefined })}`);
+    }
+
+    const telcos = (entry.telcos && entry.telcos.length ? entry.telcos : [ALL_SCOPE]).map(id => String(id).toLowerCase());
+    const unknownTelco = telcos.find(id => id !== ALL_SCOPE && !getTelco(id));
+    if (unknownTelco) {
+      throw new Error(`API key "${entry.name}" is scoped to unknown telco "${unknownTelco}"`);
+    }
+
+    return {
+      name: entry.name,
+      role: entry.role,
+      telcos: telcos.includes(ALL_SCOPE) ? null : telcos,
+      hash: Buffer.from(entry.key_hash.toLowerCase(), 'hex')
+    };
+  });
+};
+
+const apiKeys = AUTH_DISABLED ? [] : loadKeys(API_KEYS_FILE);
+if (AUTH_DISABLED) {
+  logger.warn('AUTH_DISABLED=true - API is open to anyone who can reach it');
+} else {
+  logger.info('API keys loaded', { count: apiKeys.length });
+}
+
+const findKey = (key) => {
+  const hash = Buffer.from(hashKey(key), 'hex');
+  return apiKeys.find(entry => entry.hash.length === hash.length && crypto.timingSafeEqual(entry.hash, hash)) || null;
+};
+
+// Browsers' EventSource can't send headers, so event-stream requests may pass ?api_key= instead
+const extractKey = (req) => {
+  const header = req.get('authorization') || '';
+  if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+  if (req.get('x-api-key')) return req.get('x-api-key');
+  if ((req.get('accept') || '').includes('text/event-stream') && req.query.api_key) return String(req.query.api_key);
+  return null;
+};
+
+// Identify the caller and attach req.auth = { name, role, telcos } (telcos null = unrestricted)
+const authenticate = (req, res, next) => {
+  if (AUTH_DISABLED) {
+    req.auth = { name: 'anonymous', role: 'admin', telcos: null };
+    return next();
+  }
+
+  const key = extractKey(req);
+  if (!key) {
+    return res.status(401).json({ error: 'Authentication required', code: 'AUTHENTICATION_REQUIRED' });
+  }
+
+  const entry = findKey(key);
+  if (!entry) {
+    return res.status(401).json({ error: 'Invalid API key', code: 'INVALID_API_KEY' });
+  }
+
+  // Keep the key out of anything that echoes or caches on the query string
+  delete req.query.api_key;
+  req.auth = { name: entry.name, role: entry.role, telcos: entry.telcos };
+  next();
+};
+
+// Reject callers below the given role. The role is kept on the middleware for the OpenAPI document.
+const requireRole = (role) => {
+  const middleware = (req, res, next) => {
+    if (!req.auth || ROLES.indexOf(req.auth.role) < ROLES.indexOf(role)) {
+      return res.status(403).json({ error: 'Insufficient permissions', code: 'INSUFFICIENT_ROLE', required_role: role });
+    }
+    next();
+  };
+  middleware.requiredRole = role;
+  return middleware;
+};
+
+// Reject an explicit `telco` param naming a telco outside the caller's scope. Routes still
+// pass req.auth.telcos to the registry resolvers so all/both only fan out to scoped telcos.
+const enforceTelcoScope = (req, res, next) => {
+  const scope = req.auth && req.auth.telcos;
+  const telco = req.query.telco ? String(req.query.telco).toLowerCase() : null;
+
+  if (scope && telco && getTelco(telco) && !scope.includes(telco)) {
+    return res.status(403).json({ error: 'Access to this telco is not permitted', code: 'TELCO_NOT_PERMITTED', telco });
+  }
+  next();
+};
+
+// Default `telco` for routes that serve one telco: the fallback when in scope, else the caller's first telco
+const defaultTelco = (req, fallback) => {
+  const scope = req.auth && req.auth.telcos;
+  return !scope || scope.includes(fallback) ? fallback : scope[0];
+};
+
+module.exports = {
+  ROLES,
+  hashKey,
+  authenticate,
+  requireRole,
+  enforceTelcoScope,
+  defaultTelco
+};
@@ -0,0 +1,183 @@
+// cache.js - Response cache invalidated by data freshness
+//
+// Entries are keyed on the route, the normalized query string, the caller's telco scope and role
+// and today's date (for `days=` style relative ranges). Only the values the routes match
+// case-insensitively - enum and list parameters of the route's validate() schema - are
+// case-folded; cursors and other free strings keep their case so they never share an entry. Each entry remembers the freshness token
+// it was built from - MAX(processed_at)/MAX(load_date) of the loan tables or MAX(report_date)
+// of the NPL tables - and is discarded as soon as that token changes. Freshness lookups are
+// memoized for CACHE_FRESHNESS_TTL_MS so a burst of dashboard loads costs one cheap query.
+
+const moment = require('moment');
+const { resolveLoanTables, resolveNplTelcos } = require('./registry');
+const { logger } = require('./logger');
+
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false';
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+const CACHE_FRESHNESS_TTL_MS = parseInt(process.env.CACHE_FRESHNESS_TTL_MS) || 15000;
+
+// Tables whose freshness governs each kind of cached route
+const FRESHNESS_SOURCES = {
+  loan: (scope) => resolveLoanTables('all', scope).map(({ table }) => ({
+    table,
+    query: `SELECT MAX(processed_at) AS processed_at, MAX(load_date) AS latest_date FROM ${table}`
+  })),
+  npl: (scope) => resolveNplTelcos('all', scope)
+    .flatMap(telco => Object.values(telco.npl_tables))
+    .map(table => ({
+      table,
+      query: `SELECT MAX(report_date) AS latest_date FROM ${table}`
+    }))
+};
+
+const CASE_INSENSITIVE_TYPES = ['enum', 'list'];
+
+// Query parameter specs of the route handling `req`, from its validate() middleware
+const routeQuerySpecs = (req) => {
+  const layer = req.route && req.route.stack.find(({ handle }) => handle.schema);
+  return (layer && layer.handle.schema.query) || {};
+};
+
+const normalizeQuery = (query, specs = {}) => Object.keys(query)
+  .sort()
+  .map(key => {
+    const value = String(query[key]).trim();
+    const spec = specs[key];
+    return `${key}=${spec && CASE_INSENSITIVE_TYPES.includes(spec.type) ? value.toLowerCase() : value}`;
+  })
+  .join('&');
+
+const createQueryCache = (pool) => {
+  const entries = new Map();
+  const freshness = new Map();
+  const stats = { hits: 0, misses: 0, invalidations: 0, purges: 0, stale_hits: 0 };
+
+  // Current freshness token for a kind of data as seen by a telco scope
+  const freshnessToken = async (kind, scope) => {
+    const memoKey = `${kind}:${scope ? scope.join(',') : '*'}`;
+    const memo = freshness.get(memoKey);
+    if (memo && Date.now() - memo.checkedAt < CACHE_FRESHNESS_TTL_MS) {
+      return memo.token;
+    }
+
+    const parts = [];
+    for (const { table, query } of FRESHNESS_SOURCES[kind](scope)) {
+      const [rows] = await pool.query(query);
+      const row = rows[0] || {};
+      parts.push([
+        table,
+        row.processed_at ? moment(row.processed_at).format('YYYY-MM-DD HH:mm:ss') : '',
+        row.latest_date ? moment(row.latest_date).format('YYYY-MM-DD') : ''
+      ].join('@'));
+    }
+
+    const token = parts.join('|');
+    freshness.set(memoKey, { token, checkedAt: Date.now() });
+    return token;
+  };
+
+  const store = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    // Map keeps insertion order, so the first key is the least recently stored
+    while (entries.size > CACHE_MAX_ENTRIES) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const cacheKey = (req) => {
+    const scope = req.auth && req.auth.telcos;
+    return [
+      req.baseUrl + req.path,
+      normalizeQuery(req.query, routeQuerySpecs(req)),
+      scope ? scope.join(',') : '*',
+      req.auth ? req.auth.role : '',
+      moment().format('YYYY-MM-DD')
+    ].join('|');
+  };
+
+  // Express middleware caching successful JSON responses for a route of the given kind ('loan' | 'npl')
+  const middleware = (kind) => async (req, res, next) => {
+    if (!CACHE_ENABLED) return next();
+
+    try {
+      const scope = req.auth && req.auth.telcos;
+      const key = cacheKey(req);
+      const token = await freshnessToken(kind, scope);
+
+      const cached = entries.get(key);
+      if (cached && cached.token === token) {
+        stats.hits++;
+        res.set('X-Cache', 'HIT');
+        res.set('X-Cache-Age', String(Math.round((Date.now() - cached.storedAt) / 1000)));
+        return res.json(cached.body);
+      }
+
+      if (cached) {
+        stats.invalidations++;
+        entries.delete(key);
+      }
+
+      stats.misses++;
+      res.set('X-Cache', 'MISS');
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode === 200) {
+          store(key, { kind, token, body, storedAt: Date.now() });
+        }
+        return json(body);
+      };
+      next();
+    } catch (error) {
+      // A failed freshness check must never block the route - serve it uncached
+      logger.error('Cache freshness check failed', { error });
+      res.set('X-Cache', 'BYPASS');
+      next();
+    }
+  };
+
+  // Last response stored for this request, however stale - for serving while the database is down.
+  // Runs ahead of the routes' requireRole checks, which is why the caller's role is part of the key.
+  // No route is matched yet either, so nothing is case-folded: enum values sent in another case
+  // than the cached request's simply miss.
+  const peek = (req) => {
+    if (!CACHE_ENABLED) return null;
+    const cached = entries.get(cacheKey(req));
+    if (!cached) return null;
+    stats.stale_hits++;
+    return { body: cached.body, age_seconds: Math.round((Date.now() - cached.storedAt) / 1000) };
+  };
+
+  // Drop the entries matching `predicate`; the freshness memo goes too so the next check is live
+  const purgeWhere = (predicate) => {
+    let removed = 0;
+    for (const [key, entry] of Array.from(entries.entries())) {
+      if (predicate(key, entry)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    freshness.clear();
+    stats.purges++;
+    return removed;
+  };
+
+  // Drop every entry, or only those whose route starts with pathPrefix. Returns the number removed.
+  const purge = (pathPrefix) => purgeWhere(key => !pathPrefix || key.startsWith(pathPrefix));
+
+  // Drop every entry cached for routes of one kind ('loan' | 'npl'), whatever their path
+  const purgeKind = (kind) => purgeWhere((key, entry) => entry.kind === kind);
+
+  const getStats = () => ({
+    enabled: CACHE_ENABLED,
+    entries: entries.size,
+    max_entries: CACHE_MAX_ENTRIES,
+    freshness_ttl_ms: CACHE_FRESHNESS_TTL_MS,
+    ...stats
+  });
+
+  return { middleware, peek, purge, purgeKind, getStats };
+};
+
+module.exports = { createQueryCache };
@@ -0,0 +1,83 @@
+// errors.js - One error envelope for every API response
+//
+// Error responses all have the shape { error, code, ...context, request_id }: `error` is a
+// human-readable message, `code` a stable machine-readable identifier clients can branch on
+// and `request_id` the ID to quote when reporting a problem. Routes keep answering with
+// res.status(...).json({ error, ... }); the envelope middleware fills in the code from the
+// status when the route didn't pick a more specific one. Server-side failures never carry
+// `details` to the client - they are in the logs under the same request_id - unless
+// EXPOSE_ERROR_DETAILS=true is set for local debugging.
+
+const { logger } = require('./logger');
+
+const EXPOSE_ERROR_DETAILS = process.env.EXPOSE_ERROR_DETAILS === 'true';
+
+// Default code for each status; routes may send a more specific `code`
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE_ENTITY',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+const defaultCode = (status) => ERROR_CODES[status] || (status >= 500 ? ERROR_CODES[500] : ERROR_CODES[400]);
+
+// Body of an error response; `body.error` is the message
+const envelope = (status, body, requestId) => {
+  const { error, code, details, ...context } = body;
+  return {
+    error,
+    code: code || defaultCode(status),
+    ...context,
+    ...(details !== undefined && (status < 500 || EXPOSE_ERROR_DETAILS) ? { details } : {}),
+    request_id: requestId
+  };
+};
+
+// Rewrites every JSON error response ({ error: '...' } with a 4xx/5xx status) into the envelope.
+// Other JSON bodies, including the health checks' own 503 reports, pass through untouched.
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string') {
+      return json(envelope(res.statusCode, body, req.id));
+    }
+    return json(body);
+  };
+  next();
+};
+
+// Requests no route matched
+const notFound = (req, res) => {
+  res.status(404).json({ error: 'Route not found', method: req.method, path: req.path });
+};
+
+// Final error handler: malformed request bodies are the client's problem, anything else a 500
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const status = err.status || err.statusCode;
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+  if (status >= 400 && status < 500) {
+    return res.status(status).json({ error: err.expose ? err.message : 'Invalid request' });
+  }
+
+  logger.error('Unhandled error', { error: err });
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+module.exports = {
+  EXPOSE_ERROR_DETAILS,
+  ERROR_CODES,
+  errorEnvelope,
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,217 @@
+// export.js - CSV, Excel and NDJSON downloads of loan, summary and NPL rows
+//
+// Rows are written to the response as they are produced, so a route can feed it straight
+// from a MySQL row stream. Column sets below fix the column order and headers; each column's
+// type decides how the value is written (plain numbers in CSV, number formats in Excel).
+// NDJSON writes each row exactly as the JSON API returns it, one object per line.
+
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'ndjson'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Excel number formats per column type
+const XLSX_FORMATS = {
+  integer: '#,##0',
+  number: '#,##0.##',
+  amount: '#,##0.00',
+  ratio: '0.00%',
+  percent: '0.00',
+  rate: '0.000000',
+  date: 'yyyy-mm-dd'
+};
+
+const CSV_DECIMALS = { amount: 2, ratio: 4, percent: 2, rate: 6 };
+
+const KPI_COLUMNS = [
+  { key: 'kpis.recovery_rate', header: 'Recovery Rate', type: 'ratio' },
+  { key: 'kpis.principal_recovery_rate', header: 'Principal Recovery Rate', type: 'ratio' },
+  { key: 'kpis.service_fee_yield', header: 'Service Fee Yield', type: 'ratio' },
+  { key: 'kpis.late_fee_share', header: 'Late Fee Share', type: 'ratio' },
+  { key: 'kpis.average_ticket', header: 'Average Ticket', type: 'amount' },
+  { key: 'kpis.average_recovery_ticket', header: 'Average Recovery Ticket', type: 'amount' }
+];
+
+const LOAN_EXPORT_COLUMNS = [
+  { key: 'date', header: 'Load Date', type: 'date' },
+  { key: 'telco', header: 'Telco', type: 'text' },
+  { key: 'country', header: 'Country', type: 'text' },
+  { key: 'loan_type', header: 'Loan Type', type: 'text' },
+  { key: 'denom', header: 'Denomination', type: 'integer' },
+  { key: 'currency', header: 'Currency', type: 'text' },
+  { key: 'fx_rate', header: 'FX Rate', type: 'rate' },
+  { key: 'qualified_base', header: 'Qualified Base', type: 'integer' },
+  { key: 'overall_actives_daily', header: 'Actives (Daily)', type: 'integer' },
+  { key: 'overall_actives_wtd', header: 'Actives (WTD)', type: 'number' },
+  { key: 'overall_actives_mtd', header: 'Actives (MTD)', type: 'integer' },
+  { key: 'overall_actives_ytd', header: 'Actives (YTD)', type: 'integer' },
+  { key: 'lending_txns', header: 'Lending Transactions', type: 'number' },
+  { key: 'gross_lent', header: 'Gross Lent', type: 'amount' },
+  { key: 'principal_lent', header: 'Principal Lent', type: 'amount' },
+  { key: 'sfee_lent', header: 'Service Fee Lent', type: 'amount' },
+  { key: 'late_fees_charged', header: 'Late Fees Charged', type: 'amount' },
+  { key: 'setup_fees_charged', header: 'Setup Fees Charged', type: 'amount' },
+  { key: 'interest_fees_charged', header: 'Interest Fees Charged', type: 'amount' },
+  { key: 'daily_fees_charged', header: 'Daily Fees Charged', type: 'amount' },
+  { key: 'recovery_txns', header: 'Recovery Transactions', type: 'number' },
+  { key: 'principal_recovered', header: 'Principal Recovered', type: 'amount' },
+  { key: 'sfee_recovered', header: 'Service Fee Recovered', type: 'amount' },
+  { key: 'late_fees_recovered', header: 'Late Fees Recovered', type: 'amount' },
+  { key: 'setup_fees_recovered', header: 'Setup Fees Recovered', type: 'amount' },
+  { key: 'interest_fees_recovered', header: 'Interest Fees Recovered', type: 'amount' },
+  { key: 'daily_fees_recovered', header: 'Daily Fees Recovered', type: 'amount' },
+  { key: 'gross_recovered', header: 'Gross Recovered', type: 'amount' },
+  ...KPI_COLUMNS,
+  { key: 'processed_at', header: 'Processed At', type: 'text' },
+  { key: 'file_source', header: 'Source File', type: 'text' }
+];
+
+const SUMMARY_EXPORT_COLUMNS = [
+  { key: 'telco', header: 'Telco', type: 'text' },
+  { key: 'loan_type', header: 'Loan Type', type: 'text' },
+  { key: 'currency', header: 'Currency', type: 'text' },
+  { key: 'record_count', header: 'Records', type: 'integer' },
+  { key: 'total_gross_lent', header: 'Gross Lent', type: 'amount' },
+  { key: 'total_sfee_lent', header: 'Service Fee Lent', type: 'amount' },
+  { key: 'total_principal_recovered', header: 'Principal Recovered', type: 'amount' },
+  { key: 'total_service_fee_recovered', header: 'Service Fee Recovered', type: 'amount' },
+  { key: 'total_late_fees_recovered', header: 'Late Fees Recovered', type: 'amount' },
+  { key: 'total_gross_recovered', header: 'Gross Recovered', type: 'amount' },
+  { key: 'total_lending_transactions', header: 'Lending Transactions', type: 'number' },
+  { key: 'total_recovery_transactions', header: 'Recovery Transactions', type: 'number' },
+  { key: 'avg_qualified_base', header: 'Average Qualified Base', type: 'number' },
+  { key: 'latest_date', header: 'Latest Load Date', type: 'date' },
+  ...KPI_COLUMNS
+];
+
+const NPL_EXPORT_COLUMNS = [
+  { key: 'report_date', header: 'Report Date', type: 'date' },
+  { key: 'telco', header: 'Telco', type: 'text' },
+  { key: 'loan_type', header: 'Loan Type', type: 'text' },
+  { key: 'currency', header: 'Currency', type: 'text' },
+  { key: 'fx_rate', header: 'FX Rate', type: 'rate' },
+  { key: 'total_balance', header: 'Total Balance', type: 'amount' },
+  { key: 'within_tenure', header: 'Within Tenure', type: 'amount' },
+  { key: 'arrears_30_days', header: 'Arrears 30 Days', type: 'amount' },
+  { key: 'arrears_31_60_days', header: 'Arrears 31-60 Days', type: 'amount' },
+  { key: 'arrears_61_90_days', header: 'Arrears 61-90 Days', type: 'amount' },
+  { key: 'arrears_91_120_days', header: 'Arrears 91-120 Days', type: 'amount' },
+  { key: 'arrears_121_150_days', header: 'Arrears 121-150 Days', type: 'amount' },
+  { key: 'arrears_151_180_days', header: 'Arrears 151-180 Days', type: 'amount' },
+  { key: 'arrears_181_plus_days', header: 'Arrears 181+ Days', type: 'amount' },
+  { key: 'arrears_percentage', header: 'Arrears %', type: 'percent' },
+  { key: 'net_recovered_value', header: 'Net Recovered Value', type: 'amount' },
+  { key: 'unrecovered_percentage_net', header: 'Unrecovered % (Net)', type: 'percent' }
+];
+
+// Value of a column key, following dotted paths such as kpis.recovery_rate
+const columnValue = (row, key) => key.split('.').reduce((value, part) => (value == null ? value : value[part]), row);
+
+// Download name built from the route and its filters, e.g. loan-data_airtel_2025-03-01-to-2025-03-31.csv
+const exportFilename = (base, parts, format) => {
+  const name = [base, ...parts.filter(part => part !== undefined && part !== null && part !== '')]
+    .map(part => String(part).toLowerCase().replace(/[^a-z0-9.-]+/g, '-').replace(/^-+|-+$/g, ''))
+    .filter(Boolean)
+    .join('_');
+  return `${name}.${format}`;
+};
+
+const csvCell = (value, type) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (type !== 'text' && type !== 'date' && typeof value === 'number') {
+    if (!Number.isFinite(value)) return '';
+    return CSV_DECIMALS[type] !== undefined ? value.toFixed(CSV_DECIMALS[type]) : String(value);
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xlsxCell = (value, type) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (type === 'date') return new Date(`${value}T00:00:00Z`);
+  return value;
+};
+
+// Resolve once `res` can take more data; reject if the client goes away first
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+  const onDrain = () => { res.off('close', onClose); resolve(); };
+  const onClose = () => { res.off('drain', onDrain); reject(new Error('Client closed the download')); };
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+// Start a download on `res`; returns { write(row), end() }. Both are async so callers can await backpressure.
+const createExportWriter = (res, { format, columns, filename, sheetName = 'Data' }) => {
+  res.status(200);
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'ndjson') {
+    return {
+      write: async (row) => {
+        if (res.destroyed) throw new Error('Client closed the download');
+        if (!res.write(`${JSON.stringify(row)}\n`)) await waitForDrain(res);
+      },
+      end: async () => { res.end(); }
+    };
+  }
+
+  if (format === 'csv') {
+    // BOM so Excel opens the UTF-8 file with the right encoding
+    res.write(`\uFEFF${columns.map(column => csvCell(column.header, 'text')).join(',')}\r\n`);
+    return {
+      write: async (row) => {
+        const line = columns.map(column => csvCell(columnValue(row, column.key), column.type)).join(',');
+        if (res.destroyed) throw new Error('Client closed the download');
+        if (!res.write(`${line}\r\n`)) await waitForDrain(res);
+      },
+      end: async () => { res.end(); }
+    };
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+  const worksheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(column.header.length + 2, 12),
+    style: XLSX_FORMATS[column.type] ? { numFmt: XLSX_FORMATS[column.type] } : {}
+  }));
+  worksheet.getRow(1).font = { bold: true };
+
+  return {
+    write: async (row) => {
+      if (res.destroyed) throw new Error('Client closed the download');
+      worksheet.addRow(columns.map(column => xlsxCell(columnValue(row, column.key), column.type))).commit();
+    },
+    end: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+// Write an in-memory array of rows as a download
+const sendExport = async (res, options, rows) => {
+  const writer = createExportWriter(res, options);
+  for (const row of rows) {
+    await writer.write(row);
+  }
+  await writer.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  LOAN_EXPORT_COLUMNS,
+  SUMMARY_EXPORT_COLUMNS,
+  NPL_EXPORT_COLUMNS,
+  exportFilename,
+  createExportWriter,
+  sendExport
+};
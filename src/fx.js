@@ -0,0 +1,168 @@
+// fx.js - FX rates by date and currency, and conversion of monetary fields
+//
+// Rates live in fx_rates as "1 base_currency = rate quote_currency" for a rate_date. A row is
+// converted with the rate for its own load_date/report_date; when no rate was loaded for that
+// day (weekends, holidays) the most recent earlier rate is carried forward for up to
+// FX_MAX_STALE_DAYS. A stored quote->base rate is inverted when the direct pair is missing.
+
+const moment = require('moment');
+
+const FX_MAX_STALE_DAYS = parseInt(process.env.FX_MAX_STALE_DAYS) || 7;
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const normalizeCurrency = (value) => (value ? String(value).trim().toUpperCase() : value);
+
+// Validate an array of { rate_date, base_currency, quote_currency, rate }. Returns { errors, rates }.
+const validateRates = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { errors: ['rates must be a non-empty array'], rates: [] };
+  }
+
+  const errors = [];
+  const rates = input.map((entry, index) => {
+    const rate = {
+      rate_date: entry && entry.rate_date,
+      base_currency: normalizeCurrency(entry && entry.base_currency),
+      quote_currency: normalizeCurrency(entry && entry.quote_currency),
+      rate: Number(entry && entry.rate)
+    };
+
+    if (!moment(rate.rate_date, 'YYYY-MM-DD', true).isValid()) errors.push(`rates[${index}].rate_date must be YYYY-MM-DD`);
+    if (!CURRENCY_PATTERN.test(rate.base_currency || '')) errors.push(`rates[${index}].base_currency must be an ISO 4217 code`);
+    if (!CURRENCY_PATTERN.test(rate.quote_currency || '')) errors.push(`rates[${index}].quote_currency must be an ISO 4217 code`);
+    if (rate.base_currency && rate.base_currency === rate.quote_currency) errors.push(`rates[${index}] converts a currency to itself`);
+    if (!Number.isFinite(rate.rate) || rate.rate <= 0) errors.push(`rates[${index}].rate must be a positive number`);
+    return rate;
+  });
+
+  return { errors, rates };
+};
+
+// Convert one row with a rateLookup function; null when no rate covers the row's date
+const convertRow = (row, { fields, dateField, to, lookup }) => {
+  const applied = lookup(row[dateField]);
+  if (!applied) return null;
+
+  const result = { ...row, currency: to, fx_rate: applied.rate, fx_rate_date: applied.rate_date };
+  fields.forEach(field => {
+    if (typeof row[field] === 'number') result[field] = Math.round(row[field] * applied.rate * 100) / 100;
+  });
+  return result;
+};
+
+const createFxConverter = (pool) => {
+  // Insert or replace rates; returns the number of rows written
+  const upsertRates = async (rates, createdBy) => {
+    const values = rates.map(rate => [rate.rate_date, rate.base_currency, rate.quote_currency, rate.rate, createdBy]);
+    await pool.query(
+      `INSERT INTO fx_rates (rate_date, base_currency, quote_currency, rate, created_by)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE rate = VALUES(rate), created_by = VALUES(created_by)`,
+      [values]
+    );
+    return values.length;
+  };
+
+  const listRates = async ({ base_currency, quote_currency, start_date, end_date, limit = 1000 } = {}) => {
+    const whereConditions = [];
+    const params = [];
+
+    if (base_currency) {
+      whereConditions.push('base_currency = ?');
+      params.push(normalizeCurrency(base_currency));
+    }
+    if (quote_currency) {
+      whereConditions.push('quote_currency = ?');
+      params.push(normalizeCurrency(quote_currency));
+    }
+    if (start_date && end_date) {
+      whereConditions.push('rate_date BETWEEN ? AND ?');
+      params.push(start_date, end_date);
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    const [rows] = await pool.query(
+      `SELECT rate_date, base_currency, quote_currency, rate, created_by, updated_at
+       FROM fx_rates
+       ${whereClause}
+       ORDER BY rate_date DESC, base_currency, quote_currency
+       LIMIT ?`,
+      [...params, parseInt(limit) || 1000]
+    );
+
+    return rows.map(row => ({
+      ...row,
+      rate_date: moment(row.rate_date).format('YYYY-MM-DD'),
+      rate: parseFloat(row.rate),
+      updated_at: row.updated_at ? moment(row.updated_at).format('YYYY-MM-DD HH:mm:ss') : null
+    }));
+  };
+
+  // Resolve a date -> { rate, rate_date } function for converting `from` into `to` between
+  // startDate and endDate. The function returns null for dates without a usable rate.
+  const rateLookup = async (from, to, startDate, endDate) => {
+    if (from === to) return () => ({ rate: 1, rate_date: null });
+
+    const [rows] = await pool.query(
+      `SELECT rate_date, base_currency, rate
+       FROM fx_rates
+       WHERE ((base_currency = ? AND quote_currency = ?) OR (base_currency = ? AND quote_currency = ?))
+       AND rate_date BETWEEN ? AND ?`,
+      [
+        from, to, to, from,
+        moment(startDate).subtract(FX_MAX_STALE_DAYS, 'days').format('YYYY-MM-DD'),
+        moment(endDate).format('YYYY-MM-DD')
+      ]
+    );
+
+    // Direct rates win over inverted ones for the same day
+    const byDate = new Map();
+    rows.forEach(row => {
+      const day = moment(row.rate_date).format('YYYY-MM-DD');
+      const direct = row.base_currency === from;
+      if (byDate.has(day) && !direct) return;
+      byDate.set(day, direct ? parseFloat(row.rate) : 1 / parseFloat(row.rate));
+    });
+
+    return (date) => {
+      for (let back = 0; back <= FX_MAX_STALE_DAYS; back++) {
+        const day = moment(date).subtract(back, 'days').format('YYYY-MM-DD');
+        if (byDate.has(day)) return { rate: byDate.get(day), rate_date: day };
+      }
+      return null;
+    };
+  };
+
+  // Convert `fields` of rows from `from` into `to` using each row's `dateField`. Rows get
+  // currency, fx_rate and fx_rate_date; dates without a rate are returned in `missingDates`.
+  const convertRows = async (rows, { fields, dateField, from, to }) => {
+    if (rows.length === 0) return { rows, missingDates: [] };
+
+    const dates = rows.map(row => moment(row[dateField]).format('YYYY-MM-DD')).sort();
+    const lookup = await rateLookup(from, to, dates[0], dates[dates.length - 1]);
+    const missingDates = new Set();
+
+    const converted = rows.map(row => {
+      const result = convertRow(row, { fields, dateField, to, lookup });
+      if (!result) {
+        missingDates.add(moment(row[dateField]).format('YYYY-MM-DD'));
+        return row;
+      }
+      return result;
+    });
+
+    return { rows: converted, missingDates: [...missingDates].sort() };
+  };
+
+  return { upsertRates, listRates, rateLookup, convertRows };
+};
+
+module.exports = {
+  CURRENCY_PATTERN,
+  FX_MAX_STALE_DAYS,
+  normalizeCurrency,
+  validateRates,
+  convertRow,
+  createFxConverter
+};
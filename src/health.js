@@ -0,0 +1,306 @@
+// health.js - Database availability, liveness/readiness checks and startup retry
+//
+// The monitor owns the API's view of MySQL. On startup it pings the pool (and runs the
+// caller's initialization, e.g. schema setup) until both succeed, backing off exponentially
+// between attempts instead of exiting. Once up, it pings every HEALTH_CHECK_INTERVAL_MS; a
+// failed ping or a connection-class query error marks the database down and the reconnect loop
+// takes over again. Routes consult isDatabaseAvailable() to answer in degraded mode meanwhile.
+// The probes are public, so their reports carry states and error codes only; driver messages
+// and table names go to the logs (or the reports too with EXPOSE_ERROR_DETAILS=true).
+
+const moment = require('moment');
+const { resolveLoanTables, resolveNplTelcos } = require('./registry');
+const { TABLES } = require('./schema');
+const { logger, requestContext } = require('./logger');
+const { EXPOSE_ERROR_DETAILS } = require('./errors');
+
+const DB_CONNECT_RETRY_MS = parseInt(process.env.DB_CONNECT_RETRY_MS) || 1000;
+const DB_CONNECT_RETRY_MAX_MS = parseInt(process.env.DB_CONNECT_RETRY_MAX_MS) || 30000;
+// 0 keeps retrying forever
+const DB_CONNECT_MAX_ATTEMPTS = parseInt(process.env.DB_CONNECT_MAX_ATTEMPTS) || 0;
+const HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 15000;
+const HEALTH_PING_TIMEOUT_MS = parseInt(process.env.HEALTH_PING_TIMEOUT_MS) || 3000;
+const HEALTH_READINESS_TTL_MS = parseInt(process.env.HEALTH_READINESS_TTL_MS) || 5000;
+// Latest load_date/report_date older than this many days is reported as stale
+const HEALTH_MAX_DATA_AGE_DAYS = parseInt(process.env.HEALTH_MAX_DATA_AGE_DAYS) || 3;
+const READINESS_FAIL_ON_STALE = process.env.READINESS_FAIL_ON_STALE === 'true';
+
+// Error codes meaning the server is unreachable rather than the query being wrong
+const CONNECTION_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'EPIPE',
+  'PROTOCOL_CONNECTION_LOST',
+  'PROTOCOL_SEQUENCE_TIMEOUT',
+  'ER_CON_COUNT_ERROR',
+  'ER_SERVER_SHUTDOWN'
+];
+
+const isConnectionError = (error) => Boolean(error && CONNECTION_ERROR_CODES.includes(error.code));
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(message), { code: 'ETIMEDOUT' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const sleep = (ms) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  timer.unref();
+});
+
+// last_error as the probes show it
+const publicError = (error) => (error ? {
+  code: error.code || null,
+  at: error.at,
+  ...(EXPOSE_ERROR_DETAILS ? { message: error.message } : {})
+} : null);
+
+const retryDelay = (attempt) => Math.min(DB_CONNECT_RETRY_MS * 2 ** (attempt - 1), DB_CONNECT_RETRY_MAX_MS);
+
+const createHealthMonitor = (pool) => {
+  const startedAt = Date.now();
+  const state = {
+    status: 'starting',
+    since: new Date().toISOString(),
+    last_error: null,
+    last_ok_at: null,
+    attempts: 0
+  };
+  let timer = null;
+  let reconnecting = null;
+  let stopped = false;
+  let draining = false;
+  let readiness = null;
+
+  const setStatus = (status, error) => {
+    if (state.status !== status) {
+      state.since = new Date().toISOString();
+      readiness = null;
+      if (status === 'up') logger.info('Database available', { attempts: state.attempts });
+      else if (status === 'down') logger.error('Database unavailable', { error });
+    }
+    state.status = status;
+    if (error) state.last_error = { message: error.message, code: error.code, at: new Date().toISOString() };
+    if (status === 'up') {
+      state.last_ok_at = new Date().toISOString();
+      state.attempts = 0;
+    }
+  };
+
+  // Round trip to MySQL on a pooled connection; resolves to the latency in ms
+  const ping = async () => {
+    const start = Date.now();
+    const acquiring = pool.getConnection();
+    let connection;
+    try {
+      connection = await withTimeout(acquiring, HEALTH_PING_TIMEOUT_MS, 'Timed out waiting for a database connection');
+    } catch (error) {
+      // A connection that turns up after the timeout goes straight back to the pool
+      acquiring.then(late => late.release(), () => {});
+      throw error;
+    }
+    try {
+      await withTimeout(connection.ping(), HEALTH_PING_TIMEOUT_MS, 'Database ping timed out');
+    } finally {
+      connection.release();
+    }
+    return Date.now() - start;
+  };
+
+  // Ping (and initialize) until it works, waiting longer after each failure
+  const connectLoop = async (initialize) => {
+    while (!stopped) {
+      state.attempts += 1;
+      try {
+        await ping();
+        if (initialize) await initialize();
+        setStatus('up');
+        return;
+      } catch (error) {
+        const delay = retryDelay(state.attempts);
+        setStatus(state.status === 'starting' ? 'starting' : 'down', error);
+        logger.warn('Database connection attempt failed', { attempt: state.attempts, retry_in_ms: delay, error: error.message, code: error.code });
+        if (DB_CONNECT_MAX_ATTEMPTS && state.attempts >= DB_CONNECT_MAX_ATTEMPTS) {
+          throw new Error(`Database unreachable after ${state.attempts} attempts: ${error.message}`);
+        }
+        await sleep(delay);
+      }
+    }
+  };
+
+  // Runs outside the request whose failed query noticed the outage
+  const reconnect = () => requestContext.exit(() => {
+    if (!reconnecting) {
+      reconnecting = connectLoop()
+        .catch(error => logger.error('Database reconnect gave up', { error }))
+        .finally(() => { reconnecting = null; });
+    }
+    return reconnecting;
+  });
+
+  const markDown = (error) => {
+    if (stopped || state.status !== 'up') return;
+    setStatus('down', error);
+    reconnect();
+  };
+
+  const tick = async () => {
+    if (state.status !== 'up') return;
+    try {
+      await ping();
+      state.last_ok_at = new Date().toISOString();
+    } catch (error) {
+      markDown(error);
+    }
+  };
+
+  // Connect with retry, run `initialize` once connected, then keep watching the database.
+  // Rejects only when DB_CONNECT_MAX_ATTEMPTS is set and exhausted.
+  const start = async (initialize) => {
+    await connectLoop(initialize);
+    if (stopped) return;
+    timer = setInterval(tick, HEALTH_CHECK_INTERVAL_MS);
+    timer.unref();
+  };
+
+  // Called with every failed query; only connection-class errors flip the state
+  const reportQueryError = (error) => {
+    if (isConnectionError(error)) markDown(error);
+  };
+
+  const isDatabaseAvailable = () => state.status === 'up';
+
+  const database = () => ({ ...state });
+
+  const publicDatabase = () => ({ ...state, last_error: publicError(state.last_error) });
+
+  // Latest date of every registered loan and NPL table, which also proves each is reachable
+  const checkTables = async () => {
+    const today = moment().startOf('day');
+    const checks = [];
+
+    const check = async (entry, query) => {
+      try {
+        const [[row]] = await pool.query(query);
+        const latest = row && row.latest_date ? moment(row.latest_date).format('YYYY-MM-DD') : null;
+        const ageDays = latest ? today.diff(moment(latest), 'days') : null;
+        checks.push({ ...entry, reachable: true, latest_date: latest, age_days: ageDays, stale: ageDays === null || ageDays > HEALTH_MAX_DATA_AGE_DAYS });
+      } catch (error) {
+        logger.warn('Readiness table check failed', { table: entry.table, error });
+        checks.push({ ...entry, reachable: false, code: error.code || null, error: error.message });
+      }
+    };
+
+    for (const { id, table, filter } of resolveLoanTables('all')) {
+      await check({ table, telco: id, type: 'loan' }, `SELECT MAX(load_date) AS latest_date FROM ${table} WHERE ${filter}`);
+    }
+    for (const telco of resolveNplTelcos('all')) {
+      for (const table of Object.values(telco.npl_tables)) {
+        await check({ table, telco: telco.id, type: 'npl' }, `SELECT MAX(report_date) AS latest_date FROM ${table}`);
+      }
+    }
+    // Tables this service owns have no data date - reachability is all that matters
+    for (const table of Object.keys(TABLES)) {
+      try {
+        await pool.query(`SELECT 1 FROM ${table} LIMIT 1`);
+        checks.push({ table, type: 'service', reachable: true });
+      } catch (error) {
+        logger.warn('Readiness table check failed', { table, error });
+        checks.push({ table, type: 'service', reachable: false, code: error.code || null, error: error.message });
+      }
+    }
+
+    return checks;
+  };
+
+  const runReadiness = async () => {
+    if (draining) {
+      return { ready: false, status: 'draining', database: publicDatabase() };
+    }
+    if (state.status !== 'up') {
+      return { ready: false, status: state.status === 'starting' ? 'starting' : 'database_unavailable', database: publicDatabase() };
+    }
+
+    let latencyMs;
+    try {
+      latencyMs = await ping();
+    } catch (error) {
+      markDown(error);
+      return { ready: false, status: 'database_unavailable', database: publicDatabase() };
+    }
+
+    const tables = await checkTables();
+    const unreachable = tables.filter(table => !table.reachable);
+    const stale = tables.filter(table => table.reachable && table.stale);
+    const ready = unreachable.length === 0 && (!READINESS_FAIL_ON_STALE || stale.length === 0);
+
+    return {
+      ready,
+      status: unreachable.length > 0 ? 'tables_unreachable' : stale.length > 0 ? 'stale_data' : 'ok',
+      database: { ...publicDatabase(), latency_ms: latencyMs },
+      max_data_age_days: HEALTH_MAX_DATA_AGE_DAYS,
+      unreachable_count: unreachable.length,
+      stale_count: stale.length,
+      ...(EXPOSE_ERROR_DETAILS ? {
+        unreachable_tables: unreachable.map(table => table.table),
+        stale_tables: stale.map(table => table.table),
+        tables
+      } : {})
+    };
+  };
+
+  // Readiness report, memoized for HEALTH_READINESS_TTL_MS so frequent probes stay cheap
+  const checkReadiness = async () => {
+    if (readiness && Date.now() - readiness.checkedAt < HEALTH_READINESS_TTL_MS && !draining) {
+      return readiness.result;
+    }
+    const result = { ...(await runReadiness()), checked_at: new Date().toISOString() };
+    readiness = { result, checkedAt: Date.now() };
+    return result;
+  };
+
+  const liveness = () => ({
+    status: 'alive',
+    uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+    draining,
+    database: state.status
+  });
+
+  // Stop reporting ready so load balancers move traffic elsewhere while requests drain
+  const beginDrain = () => {
+    draining = true;
+  };
+
+  const isDraining = () => draining;
+
+  const stop = () => {
+    stopped = true;
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    start,
+    ping,
+    reportQueryError,
+    isDatabaseAvailable,
+    database,
+    checkReadiness,
+    liveness,
+    beginDrain,
+    isDraining,
+    stop
+  };
+};
+
+module.exports = {
+  CONNECTION_ERROR_CODES,
+  isConnectionError,
+  createHealthMonitor
+};
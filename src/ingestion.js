@@ -0,0 +1,240 @@
+// ingestion.js - Daily loan extract upload, validation and versioned insert
+//
+// A CSV extract is parsed, checked against the columns convertToDashboardFormat reads, and
+// inserted into the telco's loan table as a new processed_at version. The read routes already
+// serve the latest version per load_date/loan_type/denom, so a re-processed day simply
+// supersedes the previous load. Identical files are rejected by SHA-256 hash.
+
+const crypto = require('crypto');
+const moment = require('moment');
+
+// Columns every extract must carry
+const REQUIRED_COLUMNS = ['load_date', 'loan_type', 'denom'];
+
+// Numeric columns - integers are parsed with parseInt by convertToDashboardFormat
+const INTEGER_COLUMNS = [
+  'denom',
+  'qualified_base',
+  'overall_actives_daily',
+  'overall_actives_mtd',
+  'overall_actives_ytd'
+];
+
+const DECIMAL_COLUMNS = [
+  'gross_lent',
+  'sfee_lent',
+  'lending_txns',
+  'late_fees_charged',
+  'setup_fees_charged',
+  'interest_fees_charged',
+  'daily_fees_charged',
+  'recovery_txns',
+  'principal_recovered',
+  'sfee_recovered',
+  'late_fees_recovered',
+  'setup_fees_recovered',
+  'interest_fees_recovered',
+  'daily_fees_recovered',
+  'overall_actives_wtd'
+];
+
+const NUMERIC_COLUMNS = [...INTEGER_COLUMNS, ...DECIMAL_COLUMNS];
+
+// Every column the loan tables accept from an extract; telco and country default from the registry
+const LOAN_COLUMNS = ['load_date', 'loan_type', 'telco', 'country', ...NUMERIC_COLUMNS];
+
+// Largest number of rejected lines echoed back in a report
+const MAX_REPORTED_REJECTIONS = 200;
+
+const INSERT_BATCH_SIZE = 500;
+
+const hashFile = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, embedded commas/newlines, CRLF
+const parseCsv = (content) => {
+  const text = content.replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, values: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, values: record });
+  }
+
+  // Drop blank lines
+  return records.filter(({ values }) => values.some(value => value.trim() !== ''));
+};
+
+const parseNumber = (value, integer) => {
+  const cleaned = String(value).replace(/,/g, '').trim();
+  if (cleaned === '') return { value: null };
+  const number = Number(cleaned);
+  if (!Number.isFinite(number)) return { error: 'not a number' };
+  if (integer && !Number.isInteger(number)) return { error: 'not an integer' };
+  return { value: number };
+};
+
+// Validate parsed CSV records for a registry telco. Returns the header problems (if any),
+// the accepted rows keyed by LOAN_COLUMNS and the rejected lines with their errors.
+const validateExtract = (records, telco) => {
+  if (records.length === 0) {
+    return { headerErrors: ['File is empty'], rows: [], rejected: [] };
+  }
+
+  const header = records[0].values.map(column => column.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+  const unknown = header.filter(column => !LOAN_COLUMNS.includes(column));
+  const duplicated = header.filter((column, index) => header.indexOf(column) !== index);
+
+  const headerErrors = [];
+  if (missing.length > 0) headerErrors.push(`Missing required columns: ${missing.join(', ')}`);
+  if (unknown.length > 0) headerErrors.push(`Unknown columns: ${unknown.join(', ')}`);
+  if (duplicated.length > 0) headerErrors.push(`Duplicated columns: ${[...new Set(duplicated)].join(', ')}`);
+  if (headerErrors.length > 0) {
+    return { headerErrors, rows: [], rejected: [] };
+  }
+
+  const telcoValues = telco.sql_values.map(value => value.toLowerCase());
+  const rows = [];
+  const rejected = [];
+  const seen = new Map();
+
+  records.slice(1).forEach(({ line, values }) => {
+    const errors = [];
+    if (values.length !== header.length) {
+      rejected.push({ line, errors: [`Expected ${header.length} fields, found ${values.length}`] });
+      return;
+    }
+
+    const raw = {};
+    header.forEach((column, index) => { raw[column] = values[index].trim(); });
+
+    const loadDate = moment(raw.load_date, 'YYYY-MM-DD', true);
+    if (!loadDate.isValid()) errors.push(`load_date "${raw.load_date}" is not YYYY-MM-DD`);
+    if (!raw.loan_type) errors.push('loan_type is empty');
+    if (raw.telco && !telcoValues.includes(raw.telco.toLowerCase())) {
+      errors.push(`telco "${raw.telco}" does not belong to ${telco.name}`);
+    }
+
+    const row = {
+      load_date: loadDate.isValid() ? loadDate.format('YYYY-MM-DD') : null,
+      loan_type: raw.loan_type,
+      telco: raw.telco || telco.name,
+      country: raw.country || telco.country || ''
+    };
+
+    NUMERIC_COLUMNS.forEach(column => {
+      if (raw[column] === undefined) {
+        row[column] = null;
+        return;
+      }
+      const parsed = parseNumber(raw[column], INTEGER_COLUMNS.includes(column));
+      if (parsed.error) errors.push(`${column} "${raw[column]}" is ${parsed.error}`);
+      else if (parsed.value !== null && parsed.value < 0) errors.push(`${column} is negative`);
+      row[column] = parsed.value === undefined ? null : parsed.value;
+    });
+    if (row.denom === null && !errors.some(error => error.startsWith('denom'))) errors.push('denom is empty');
+
+    // The same load_date/loan_type/denom twice in one file would make the latest version ambiguous
+    const key = `${row.load_date}|${row.loan_type}|${row.denom}`;
+    if (errors.length === 0 && seen.has(key)) {
+      errors.push(`Duplicate of line ${seen.get(key)} for ${row.load_date} ${row.loan_type} denom ${row.denom}`);
+    }
+
+    if (errors.length > 0) {
+      rejected.push({ line, errors });
+    } else {
+      seen.set(key, line);
+      rows.push(row);
+    }
+  });
+
+  return { headerErrors: [], rows, rejected };
+};
+
+// Insert accepted rows as one processed_at version and record the ingestion, in a single transaction
+const insertExtract = async (pool, telco, { rows, rejected, fileName, fileHash, uploadedBy }) => {
+  const processedAt = moment().format('YYYY-MM-DD HH:mm:ss');
+  const loadDates = [...new Set(rows.map(row => row.load_date))].sort();
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [ingestion] = await connection.query(
+      `INSERT INTO file_ingestions
+        (telco, loan_table, file_name, file_hash, processed_at, rows_total, rows_inserted, rows_rejected,
+         min_load_date, max_load_date, uploaded_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        telco.id, telco.loan_table, fileName, fileHash, processedAt,
+        rows.length + rejected.length, rows.length, rejected.length,
+        loadDates[0] || null, loadDates[loadDates.length - 1] || null, uploadedBy
+      ]
+    );
+
+    const columns = [...LOAN_COLUMNS, 'processed_at', 'file_source'];
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const batch = rows.slice(i, i + INSERT_BATCH_SIZE)
+        .map(row => [...LOAN_COLUMNS.map(column => row[column]), processedAt, fileName]);
+      await connection.query(`INSERT INTO ${telco.loan_table} (${columns.join(', ')}) VALUES ?`, [batch]);
+    }
+
+    await connection.commit();
+    return { ingestionId: ingestion.insertId, processedAt, loadDates };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  LOAN_COLUMNS,
+  NUMERIC_COLUMNS,
+  REQUIRED_COLUMNS,
+  MAX_REPORTED_REJECTIONS,
+  hashFile,
+  parseCsv,
+  validateExtract,
+  insertExtract
+};
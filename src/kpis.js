@@ -0,0 +1,71 @@
+// kpis.js - Derived loan KPIs, defined once for every route
+//
+// Each KPI is a ratio of two summable loan metrics, so it can be computed for a single row,
+// a summary group or any aggregated date range. A zero (or missing) denominator always yields
+// null rather than 0, Infinity or NaN.
+
+const KPI_DEFINITIONS = {
+  recovery_rate: {
+    numerator: 'gross_recovered',
+    denominator: 'gross_lent',
+    unit: 'ratio',
+    description: 'Gross recovered (principal + all fees) per unit of gross lent'
+  },
+  principal_recovery_rate: {
+    numerator: 'principal_recovered',
+    denominator: 'principal_lent',
+    unit: 'ratio',
+    description: 'Principal recovered per unit of principal lent'
+  },
+  service_fee_yield: {
+    numerator: 'sfee_lent',
+    denominator: 'principal_lent',
+    unit: 'ratio',
+    description: 'Service fee charged per unit of principal lent'
+  },
+  late_fee_share: {
+    numerator: 'late_fees_recovered',
+    denominator: 'gross_recovered',
+    unit: 'ratio',
+    description: 'Share of gross recoveries that came from late fees'
+  },
+  average_ticket: {
+    numerator: 'gross_lent',
+    denominator: 'lending_txns',
+    unit: 'amount',
+    description: 'Average gross amount per lending transaction'
+  },
+  average_recovery_ticket: {
+    numerator: 'gross_recovered',
+    denominator: 'recovery_txns',
+    unit: 'amount',
+    description: 'Average gross amount per recovery transaction'
+  }
+};
+
+// Loan metrics a caller must supply to compute every KPI
+const KPI_INPUTS = [...new Set(Object.values(KPI_DEFINITIONS).flatMap(({ numerator, denominator }) => [numerator, denominator]))];
+
+const DECIMALS = { ratio: 4, amount: 2 };
+
+const safeDivide = (numerator, denominator) => {
+  const n = parseFloat(numerator);
+  const d = parseFloat(denominator);
+  if (!Number.isFinite(n) || !Number.isFinite(d) || d === 0) return null;
+  return n / d;
+};
+
+const round = (value, decimals) => (value === null ? null : Number(value.toFixed(decimals)));
+
+// KPIs for an object holding the KPI_INPUTS metrics (a dashboard row or summed totals)
+const computeKpis = (values) => Object.entries(KPI_DEFINITIONS).reduce((kpis, [name, { numerator, denominator, unit }]) => ({
+  ...kpis,
+  [name]: round(safeDivide(values[numerator], values[denominator]), DECIMALS[unit])
+}), {});
+
+module.exports = {
+  KPI_DEFINITIONS,
+  KPI_INPUTS,
+  safeDivide,
+  computeKpis
+};
@@ -0,0 +1,75 @@
+// logger.js - Structured JSON logging with levels and per-request context
+//
+// Each entry is one JSON line: { time, level, msg, ...fields }. Entries written while a request
+// is being handled automatically carry its request_id. LOG_LEVEL picks the minimum level written;
+// LOG_FORMAT=text prints a one-line human-readable form for local development.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = LOG_LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info';
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'json').toLowerCase();
+
+// The request currently being handled: { fields, stats } set by the tracing middleware.
+// `fields` are added to every log entry; `stats` accumulates query counts and time.
+const requestContext = new AsyncLocalStorage();
+
+// Errors don't survive JSON.stringify, so keep the parts worth reading
+const serializeError = (error) => ({
+  message: error.message,
+  ...(error.code ? { code: error.code } : {}),
+  ...(error.sqlMessage ? { sql_message: error.sqlMessage } : {}),
+  stack: error.stack
+});
+
+const serializeFields = (fields) => Object.entries(fields).reduce((acc, [key, value]) => {
+  if (value === undefined) return acc;
+  return { ...acc, [key]: value instanceof Error ? serializeError(value) : value };
+}, {});
+
+const formatText = ({ time, level, msg, ...fields }) => {
+  const extras = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extras ? ` ${extras}` : ''}`;
+};
+
+const write = (level, msg, baseFields, fields = {}) => {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(requestContext.getStore() || {}).fields,
+    ...serializeFields({ ...baseFields, ...fields })
+  };
+
+  let line;
+  try {
+    line = LOG_FORMAT === 'text' ? formatText(entry) : JSON.stringify(entry);
+  } catch (error) {
+    // Circular or otherwise unserializable fields must not take the request down with them
+    line = JSON.stringify({ time: entry.time, level, msg, log_error: error.message });
+  }
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+// Logger whose entries all carry `baseFields`
+const createLogger = (baseFields = {}) => ({
+  debug: (msg, fields) => write('debug', msg, baseFields, fields),
+  info: (msg, fields) => write('info', msg, baseFields, fields),
+  warn: (msg, fields) => write('warn', msg, baseFields, fields),
+  error: (msg, fields) => write('error', msg, baseFields, fields),
+  isLevelEnabled: (level) => LOG_LEVELS[level] >= LOG_LEVELS[LOG_LEVEL],
+  child: (fields) => createLogger({ ...baseFields, ...fields })
+});
+
+const logger = createLogger();
+
+module.exports = {
+  LOG_LEVELS,
+  logger,
+  requestContext
+};
@@ -0,0 +1,140 @@
+// metrics.js - Prometheus metrics for requests, database queries and the connection pool
+//
+// A small in-process registry rendered in the Prometheus text exposition format by
+// GET /metrics. Route labels use the Express route pattern (/api/loan-data/:loanType), never
+// the raw URL, so label cardinality stays bounded.
+
+// Latency buckets in seconds, from a cached response to a slow export
+const REQUEST_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const QUERY_DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const labelString = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+// Series keyed by their label values in labelNames order
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+
+const counter = (name, help, labelNames = []) => {
+  const series = new Map();
+  return {
+    inc: (labels = {}, value = 1) => {
+      const key = labelKey(labelNames, labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...Array.from(series.values()).map(({ labels, value }) => `${name}${labelString(labels)} ${value}`)
+    ]
+  };
+};
+
+const histogram = (name, help, labelNames, buckets) => {
+  const series = new Map();
+  return {
+    observe: (labels, value) => {
+      const key = labelKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => `${name}_bucket${labelString({ ...labels, le: bound })} ${counts[index]}`),
+        `${name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${labelString(labels)} ${sum}`,
+        `${name}_count${labelString(labels)} ${count}`
+      ])
+    ]
+  };
+};
+
+// Gauge whose values are read when the metrics are scraped; collect() returns [{ labels, value }]
+const gauge = (name, help, collect) => ({
+  render: () => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} gauge`,
+    ...collect().map(({ labels = {}, value }) => `${name}${labelString(labels)} ${value}`)
+  ]
+});
+
+// Connection counts of a mysql2 promise pool. The core pool only exposes them as internals,
+// so missing fields read as 0 rather than failing the scrape.
+const poolStats = (pool) => {
+  const core = pool.pool || {};
+  const size = (list) => (list && typeof list.length === 'number' ? list.length : 0);
+  const total = size(core._allConnections);
+  const idle = size(core._freeConnections);
+  return {
+    limit: (core.config && core.config.connectionLimit) || 0,
+    total,
+    idle,
+    in_use: Math.max(total - idle, 0),
+    queued: size(core._connectionQueue)
+  };
+};
+
+const createMetrics = (pool) => {
+  const startedAt = Date.now();
+
+  const requestDuration = histogram(
+    'http_request_duration_seconds',
+    'HTTP request latency by method, route and status code',
+    ['method', 'route', 'status'],
+    REQUEST_DURATION_BUCKETS
+  );
+  const queryDuration = histogram(
+    'db_query_duration_seconds',
+    'Database query latency by statement type',
+    ['operation'],
+    QUERY_DURATION_BUCKETS
+  );
+  const queryErrors = counter('db_query_errors_total', 'Database queries that failed, by statement type and error code', ['operation', 'code']);
+
+  const gauges = [
+    gauge('db_pool_connections', 'Database pool connections by state', () => {
+      const stats = poolStats(pool);
+      return [
+        { labels: { state: 'idle' }, value: stats.idle },
+        { labels: { state: 'in_use' }, value: stats.in_use }
+      ];
+    }),
+    gauge('db_pool_connection_limit', 'Maximum connections the database pool opens', () => [{ value: poolStats(pool).limit }]),
+    gauge('db_pool_queued_requests', 'Requests waiting for a free database connection', () => [{ value: poolStats(pool).queued }]),
+    gauge('process_uptime_seconds', 'Seconds since the API process started', () => [{ value: (Date.now() - startedAt) / 1000 }]),
+    gauge('process_resident_memory_bytes', 'Resident memory of the API process', () => [{ value: process.memoryUsage().rss }])
+  ];
+
+  const observeRequest = ({ method, route, status }, seconds) => requestDuration.observe({ method, route, status }, seconds);
+
+  const observeQuery = (operation, seconds) => queryDuration.observe({ operation }, seconds);
+
+  const countQueryError = (operation, code) => queryErrors.inc({ operation, code: code || 'UNKNOWN' });
+
+  // Everything in the Prometheus text exposition format
+  const render = () => [requestDuration, queryDuration, queryErrors, ...gauges]
+    .flatMap(metric => metric.render())
+    .join('\n') + '\n';
+
+  return { observeRequest, observeQuery, countQueryError, poolStats: () => poolStats(pool), render };
+};
+
+module.exports = {
+  REQUEST_DURATION_BUCKETS,
+  QUERY_DURATION_BUCKETS,
+  createMetrics
+};
@@ -0,0 +1,174 @@
+// openapi.js - OpenAPI 3 description of the API, generated from the registered routes
+//
+// Every Express route is listed; its parameters, summary and tags come from the schema its
+// validate() middleware carries, and the role from its requireRole() middleware, so the
+// document can't drift from what the routes actually accept. Served at GET /api/openapi.json
+// for client generation.
+
+const { allowedValues } = require('./validation');
+const { ERROR_CODES } = require('./errors');
+const { CONTENT_TYPES } = require('./export');
+
+// Reusable error responses by status
+const ERROR_RESPONSES = {
+  400: { name: 'BadRequest', description: 'Invalid parameters or body (code VALIDATION_ERROR lists each problem)' },
+  401: { name: 'Unauthenticated', description: 'Missing or unknown API key' },
+  403: { name: 'Forbidden', description: 'Role too low for the route, or a telco outside the key\'s scope' },
+  404: { name: 'NotFound', description: 'Resource not found' },
+  409: { name: 'Conflict', description: 'Conflicts with existing data' },
+  422: { name: 'Unprocessable', description: 'Well-formed but cannot be served, e.g. no FX rate for a requested currency' },
+  500: { name: 'InternalError', description: 'Unexpected server error - quote the request_id when reporting it' },
+  503: { name: 'ServiceUnavailable', description: 'Database unavailable; see Retry-After' }
+};
+
+const mediaType = (contentType) => contentType.split(';')[0];
+
+const valueSchema = (spec) => {
+  const annotations = {
+    ...(spec.default !== undefined ? { default: spec.default } : {}),
+    ...(spec.example !== undefined ? { example: spec.example } : {})
+  };
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      return { type: spec.type, ...(spec.min !== undefined ? { minimum: spec.min } : {}), ...(spec.max !== undefined ? { maximum: spec.max } : {}), ...annotations };
+    case 'boolean':
+      return { type: 'boolean', ...annotations };
+    case 'date':
+      return { type: 'string', format: 'date', ...annotations };
+    case 'month':
+      return { type: 'string', pattern: '^\\d{4}-\\d{2}$', example: '2025-08', ...annotations };
+    case 'enum':
+      return { type: 'string', enum: allowedValues(spec), ...annotations };
+    case 'list':
+      return { type: 'array', items: { type: 'string', enum: allowedValues(spec) }, ...annotations };
+    default:
+      return {
+        type: 'string',
+        ...(spec.maxLength ? { maxLength: spec.maxLength } : {}),
+        ...(spec.pattern ? { pattern: spec.pattern.source } : {}),
+        ...annotations
+      };
+  }
+};
+
+const parameters = (location, specs = {}) => Object.entries(specs).map(([name, spec]) => ({
+  name,
+  in: location,
+  required: location === 'path' || Boolean(spec.required),
+  ...(spec.description ? { description: spec.description } : {}),
+  schema: valueSchema(spec),
+  // Lists are sent comma-separated: metrics=a,b
+  ...(spec.type === 'list' ? { style: 'form', explode: false } : {})
+}));
+
+// getLoanDataByLoanType for GET /api/loan-data/:loanType
+const operationId = (method, path) => method + path
+  .replace(/^\/api/, '')
+  .split(/[/.-]/)
+  .filter(Boolean)
+  .map(part => (part.startsWith(':') ? `By${part[1].toUpperCase()}${part.slice(2)}` : part[0].toUpperCase() + part.slice(1)))
+  .join('');
+
+const successContent = (schema) => {
+  const produces = schema.produces || [
+    'application/json',
+    ...(schema.query && schema.query.format ? Object.values(CONTENT_TYPES).map(mediaType) : [])
+  ];
+  return produces.reduce((content, type) => ({
+    ...content,
+    [type]: { schema: type === 'application/json' ? { type: 'object' } : { type: 'string' } }
+  }), {});
+};
+
+const operation = (method, path, route) => {
+  const handlers = route.stack.map(layer => layer.handle);
+  const schema = (handlers.find(handle => handle.schema) || {}).schema || {};
+  const role = (handlers.find(handle => handle.requiredRole) || {}).requiredRole;
+  const hasInput = Boolean(schema.query || schema.params || schema.body);
+
+  const errorStatuses = [
+    ...(hasInput ? [400] : []),
+    ...(schema.public ? [] : [401, 403]),
+    ...(schema.errors || []),
+    500,
+    ...(schema.public ? [] : [503])
+  ];
+
+  const description = [schema.description, role ? `Requires the ${role} role.` : null].filter(Boolean).join(' ');
+
+  return {
+    operationId: operationId(method, path),
+    summary: schema.summary || `${method.toUpperCase()} ${path}`,
+    ...(description ? { description } : {}),
+    tags: schema.tags || ['Other'],
+    ...(schema.public ? { security: [] } : {}),
+    ...(role ? { 'x-required-role': role } : {}),
+    parameters: [...parameters('path', schema.params), ...parameters('query', schema.query)],
+    ...(schema.body ? {
+      requestBody: {
+        required: true,
+        ...(schema.body.description ? { description: schema.body.description } : {}),
+        content: { [schema.body.contentType || 'application/json']: { schema: schema.body.schema || { type: 'object' } } }
+      }
+    } : {}),
+    responses: {
+      [schema.status || 200]: { description: schema.returns || 'OK', content: successContent(schema) },
+      ...[...new Set(errorStatuses)].reduce((responses, status) => ({
+        ...responses,
+        [status]: { $ref: `#/components/responses/${ERROR_RESPONSES[status].name}` }
+      }), {})
+    }
+  };
+};
+
+// OpenAPI document for every route registered on `app`
+const buildOpenApiDocument = (app, { title, version, description }) => {
+  const paths = {};
+  app._router.stack
+    .filter(layer => layer.route)
+    .forEach(({ route }) => {
+      const path = route.path.replace(/:(\w+)/g, '{$1}');
+      Object.keys(route.methods).forEach(method => {
+        paths[path] = { ...paths[path], [method]: operation(method, route.path, route) };
+      });
+    });
+
+  return {
+    openapi: '3.0.3',
+    info: { title, version, ...(description ? { description } : {}) },
+    security: [{ bearerAuth: [] }, { apiKey: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key sent as Authorization: Bearer <key>' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error', 'code', 'request_id'],
+          properties: {
+            error: { type: 'string', description: 'Human-readable message' },
+            code: {
+              type: 'string',
+              description: 'Stable error code, e.g. VALIDATION_ERROR, TELCO_NOT_PERMITTED, FX_RATE_UNAVAILABLE, DATABASE_UNAVAILABLE',
+              example: ERROR_CODES[400]
+            },
+            details: {
+              description: 'Client errors only: the individual problems, e.g. [{ in, name, message, allowed }] for VALIDATION_ERROR'
+            },
+            request_id: { type: 'string', description: 'Also sent as the X-Request-Id header' }
+          },
+          additionalProperties: true
+        }
+      },
+      responses: Object.values(ERROR_RESPONSES).reduce((responses, { name, description: text }) => ({
+        ...responses,
+        [name]: { description: text, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+      }), {})
+    }
+  };
+};
+
+module.exports = { buildOpenApiDocument };
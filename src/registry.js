@@ -0,0 +1,116 @@
+// registry.js - Telco and product registry
+//
+// Every route resolves loan/NPL tables, telco SQL filters and loan types from the
+// registry file instead of hard-coding them. Point TELCO_REGISTRY_FILE at another
+// JSON file to onboard a telco or product without touching the routes.
+
+const fs = require('fs');
+const path = require('path');
+const { escape } = require('mysql2');
+const { logger } = require('./logger');
+
+const REGISTRY_FILE = process.env.TELCO_REGISTRY_FILE
+  ? path.resolve(process.env.TELCO_REGISTRY_FILE)
+  : path.join(__dirname, 'config', 'telcos.json');
+
+// `telco` param values that fan out to every registered telco ('both' kept for existing dashboards)
+const ALL_TELCOS = ['all', 'both'];
+
+const loadRegistry = (file) => {
+  const { telcos } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(telcos) || telcos.length === 0) {
+    throw new Error(`Telco registry ${file} has no telcos`);
+  }
+
+  telcos.forEach(telco => {
+    ['id', 'name', 'loan_table'].forEach(field => {
+      if (!telco[field]) throw new Error(`Telco registry entry is missing "${field}": ${JSON.stringify(telco)}`);
+    });
+    telco.id = telco.id.toLowerCase();
+    telco.sql_values = telco.sql_values && telco.sql_values.length ? telco.sql_values : [telco.name];
+    telco.products = telco.products || [];
+    telco.npl_tables = telco.npl_tables || null;
+    telco.currency = telco.currency ? String(telco.currency).toUpperCase() : null;
+  });
+
+  return telcos;
+};
+
+const telcos = loadRegistry(REGISTRY_FILE);
+logger.info('Telco registry loaded', { telcos: telcos.map(telco => telco.id) });
+
+const getTelcos = () => telcos;
+
+const getTelco = (id) => telcos.find(telco => telco.id === String(id).toLowerCase()) || null;
+
+// Telcos selected by a `telco` query param - every telco for all/both, [] when unknown.
+// `scope` optionally restricts the result to a caller's permitted telco ids.
+const resolveTelcos = (param = 'all', scope = null) => {
+  const value = String(param).toLowerCase();
+  const inScope = (telco) => !scope || scope.includes(telco.id);
+  if (ALL_TELCOS.includes(value)) return telcos.filter(inScope);
+  const telco = getTelco(value);
+  return telco && inScope(telco) ? [telco] : [];
+};
+
+// SQL condition restricting a table to one telco's rows
+const telcoFilter = (telco, column = 'telco') => `(${column} IN (${escape(telco.sql_values)}))`;
+
+// Loan tables for a `telco` param, labelled so rows can be grouped by telco without relying on column casing
+const resolveLoanTables = (param, scope) => resolveTelcos(param, scope).map(telco => ({
+  id: telco.id,
+  table: telco.loan_table,
+  telco: telco.name,
+  country: telco.country || '',
+  currency: telco.currency,
+  filter: telcoFilter(telco)
+}));
+
+// Telcos selected by a `telco` param that have NPL tables registered
+const resolveNplTelcos = (param, scope) => resolveTelcos(param, scope).filter(telco => telco.npl_tables);
+
+const findProduct = (telco, code) => (
+  telco.products.find(product => product.code === String(code)) || null
+);
+
+// Distinct product codes across all telcos, e.g. ['7', '14', '21', '30']
+const productCodes = () => [...new Set(telcos.flatMap(telco => telco.products.map(product => product.code)))];
+
+// NPL loan types in catalogue order, Grand Total last
+const nplLoanTypes = () => [
+  ...new Set(telcos.flatMap(telco => telco.products.map(product => product.npl_loan_type)).filter(Boolean)),
+  'Grand Total'
+];
+
+// ORDER BY expression listing NPL loan types by catalogue order
+const nplLoanTypeOrder = (column) => {
+  const loanTypes = nplLoanTypes();
+  const cases = loanTypes
+    .map((loanType, index) => `WHEN ${escape(loanType)} THEN ${index + 1}`)
+    .join(' ');
+  return `CASE ${column} ${cases} ELSE ${loanTypes.length + 1} END`;
+};
+
+// Same ordering for sorting in JS: returns a loan_type -> rank function
+const nplLoanTypeRank = () => {
+  const loanTypes = nplLoanTypes();
+  return (loanType) => {
+    const index = loanTypes.indexOf(loanType);
+    return index === -1 ? loanTypes.length : index;
+  };
+};
+
+module.exports = {
+  ALL_TELCOS,
+  getTelcos,
+  getTelco,
+  resolveTelcos,
+  resolveLoanTables,
+  resolveNplTelcos,
+  telcoFilter,
+  findProduct,
+  productCodes,
+  nplLoanTypeOrder,
+  nplLoanTypeRank
+};
@@ -0,0 +1,110 @@
+// schema.js - Tables owned by this service
+//
+// The loan and NPL tables are loaded by the upstream pipeline; the tables below hold state
+// this API manages itself and are created on startup when missing.
+
+const { logger } = require('./logger');
+
+const TABLES = {
+  // One row per uploaded daily extract - file_hash rejects re-uploads of the same file
+  file_ingestions: `
+    CREATE TABLE IF NOT EXISTS file_ingestions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      telco VARCHAR(32) NOT NULL,
+      loan_table VARCHAR(128) NOT NULL,
+      file_name VARCHAR(255) NOT NULL,
+      file_hash CHAR(64) NOT NULL,
+      processed_at DATETIME NOT NULL,
+      rows_total INT NOT NULL DEFAULT 0,
+      rows_inserted INT NOT NULL DEFAULT 0,
+      rows_rejected INT NOT NULL DEFAULT 0,
+      min_load_date DATE NULL,
+      max_load_date DATE NULL,
+      uploaded_by VARCHAR(128) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_file_ingestions_hash (file_hash)
+    )
+  `,
+
+  // Alert rule definitions plus their current state
+  alert_rules: `
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      rule_type VARCHAR(16) NOT NULL,
+      telco VARCHAR(32) NOT NULL,
+      loan_type VARCHAR(64) NULL,
+      metric VARCHAR(128) NULL,
+      operator VARCHAR(4) NULL,
+      threshold DECIMAL(20, 6) NULL,
+      window_days INT NOT NULL DEFAULT 1,
+      deadline_time CHAR(5) NULL,
+      webhook_url VARCHAR(1024) NULL,
+      enabled TINYINT(1) NOT NULL DEFAULT 1,
+      state VARCHAR(16) NOT NULL DEFAULT 'ok',
+      last_value DECIMAL(20, 6) NULL,
+      last_evaluated_at DATETIME NULL,
+      created_by VARCHAR(128) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `,
+
+  // Every alert state transition and the outcome of its webhook delivery
+  alert_events: `
+    CREATE TABLE IF NOT EXISTS alert_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      rule_id INT NOT NULL,
+      previous_state VARCHAR(16) NOT NULL,
+      state VARCHAR(16) NOT NULL,
+      value DECIMAL(20, 6) NULL,
+      message VARCHAR(512) NOT NULL,
+      trigger_source VARCHAR(32) NOT NULL,
+      webhook_url VARCHAR(1024) NULL,
+      delivery_status VARCHAR(32) NOT NULL,
+      delivery_error VARCHAR(512) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_alert_events_rule (rule_id, created_at)
+    )
+  `,
+
+  // Daily FX rates - 1 base_currency = rate quote_currency
+  fx_rates: `
+    CREATE TABLE IF NOT EXISTS fx_rates (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      rate_date DATE NOT NULL,
+      base_currency CHAR(3) NOT NULL,
+      quote_currency CHAR(3) NOT NULL,
+      rate DECIMAL(20, 8) NOT NULL,
+      created_by VARCHAR(128) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_fx_rates_pair_date (base_currency, quote_currency, rate_date)
+    )
+  `,
+
+  // Monthly targets - loan_type is a product code, '' for every product of the telco
+  targets: `
+    CREATE TABLE IF NOT EXISTS targets (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      month CHAR(7) NOT NULL,
+      telco VARCHAR(32) NOT NULL,
+      loan_type VARCHAR(16) NOT NULL DEFAULT '',
+      metric VARCHAR(64) NOT NULL,
+      target_value DECIMAL(20, 2) NOT NULL,
+      created_by VARCHAR(128) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_targets_month_telco_product_metric (month, telco, loan_type, metric)
+    )
+  `
+};
+
+const ensureSchema = async (pool) => {
+  for (const [name, ddl] of Object.entries(TABLES)) {
+    await pool.query(ddl);
+    logger.debug('Table ready', { table: name });
+  }
+};
+
+module.exports = { TABLES, ensureSchema };
@@ -8,14 +8,53 @@ const express = require('express');
 const mysql = require('mysql2/promise');
 const cors = require('cors');
 const moment = require('moment');
+const crypto = require('crypto');
+const {
+  resolveTelcos,
+  resolveLoanTables,
+  resolveNplTelcos,
+  findProduct,
+  productCodes,
+  nplLoanTypeOrder,
+  nplLoanTypeRank
+} = require('./registry');
+const { authenticate, requireRole, enforceTelcoScope, defaultTelco } = require('./auth');
+const { createQueryCache } = require('./cache');
+const { ensureSchema } = require('./schema');
+const { createAlertEngine, RULE_TYPES, OPERATORS } = require('./alerts');
+const { createDataWatcher } = require('./watcher');
+const { logger } = require('./logger');
+const { createHealthMonitor } = require('./health');
+const { createMetrics } = require('./metrics');
+const { REQUEST_ID_HEADER, createRequestTracer, instrumentPool, traceQueryStream } = require('./tracing');
+const { EXPOSE_ERROR_DETAILS, errorEnvelope, notFound, errorHandler } = require('./errors');
+const { param, validate } = require('./validation');
+const { buildOpenApiDocument } = require('./openapi');
+const { version: packageVersion } = require('../package.json');
+const { KPI_DEFINITIONS, KPI_INPUTS, computeKpis } = require('./kpis');
+const { CURRENCY_PATTERN, normalizeCurrency, validateRates, convertRow, createFxConverter } = require('./fx');
+const { TARGET_FIELDS, formatTarget, validateTarget, attainment } = require('./targets');
+const {
+  EXPORT_FORMATS,
+  LOAN_EXPORT_COLUMNS,
+  SUMMARY_EXPORT_COLUMNS,
+  NPL_EXPORT_COLUMNS,
+  exportFilename,
+  createExportWriter,
+  sendExport
+} = require('./export');
+const {
+  NUMERIC_COLUMNS,
+  MAX_REPORTED_REJECTIONS,
+  hashFile,
+  parseCsv,
+  validateExtract,
+  insertExtract
+} = require('./ingestion');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
 // Database configuration - now will properly read from .env file
 const dbConfig = {
   host: process.env.DB_HOST || 'your-default-host',
@@ -26,8 +65,8 @@ const dbConfig = {
   charset: 'utf8mb4'
 };
 
-// Debug: Log database config (remove password for security)
-console.log('🔧 Database Config:', {
+// Log database config (without the password)
+logger.info('Database config', {
   host: dbConfig.host,
   user: dbConfig.user,
   database: dbConfig.database,
@@ -42,17 +81,33 @@ const pool = mysql.createPool({
   queueLimit: 0
 });
 
-// Test database connection on startup
-async function testDatabaseConnection() {
-  try {
-    const connection = await pool.getConnection();
-    console.log('✅ Database connected successfully');
-    connection.release();
-  } catch (error) {
-    console.error('❌ Database connection failed:', error.message);
-    process.exit(1);
-  }
-}
+// Every query through the pool is timed for the logs and GET /metrics; connection errors
+// tell the health monitor the database has gone away
+const metrics = createMetrics(pool);
+const health = createHealthMonitor(pool);
+instrumentPool(pool, metrics, { onQueryError: health.reportQueryError });
+
+// Middleware - the tracer comes first so every response carries an X-Request-Id, and the error
+// envelope precedes the body parser so malformed JSON gets the same error shape as everything else.
+// CORS_ORIGINS restricts browser access to a comma-separated list of origins.
+const corsOrigins = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : null;
+app.use(createRequestTracer(metrics));
+app.use(cors({ ...(corsOrigins ? { origin: corsOrigins } : {}), exposedHeaders: [REQUEST_ID_HEADER] }));
+app.use(errorEnvelope);
+app.use(express.json());
+
+// Keep-alive clients are asked to reconnect elsewhere once shutdown has begun
+app.use((req, res, next) => {
+  if (health.isDraining()) res.set('Connection', 'close');
+  next();
+});
+
+// Response cache for the read routes, invalidated when the underlying tables get new data
+const queryCache = createQueryCache(pool);
+const fx = createFxConverter(pool);
+const dataWatcher = createDataWatcher(pool);
 
 // Utility function to convert database rows to dashboard format
 const convertToDashboardFormat = (rows) => {
@@ -60,7 +115,7 @@ const convertToDashboardFormat = (rows) => {
     // Based on sample data, use actual field names and values
     // Don't calculate gross_recovered - use individual recovery fields
     
-    return {
+    const formatted = {
       // Date field (use load_date)
       date: moment(row.load_date).format('YYYY-MM-DD'),
       
@@ -121,20 +176,881 @@ const convertToDashboardFormat = (rows) => {
       processed_at: row.processed_at ? moment(row.processed_at).format('YYYY-MM-DD HH:mm:ss') : '',
       file_source: row.file_source || ''
     };
+
+    // Derived ratios from the kpis module so every page shows the same numbers
+    formatted.kpis = computeKpis(formatted);
+    return formatted;
+  });
+};
+
+// Raw loan row columns read by convertToDashboardFormat
+const LOAN_SELECT_COLUMNS = `
+  load_date, loan_type, denom, gross_lent, sfee_lent, lending_txns,
+  late_fees_charged, principal_recovered, sfee_recovered,
+  late_fees_recovered, recovery_txns, interest_fees_charged,
+  interest_fees_recovered, setup_fees_charged, setup_fees_recovered,
+  daily_fees_charged, daily_fees_recovered, country, telco,
+  qualified_base, overall_actives_daily, overall_actives_wtd,
+  overall_actives_mtd, overall_actives_ytd, processed_at, file_source
+`;
+
+// Keep only the latest processed_at version of each load_date/loan_type/denom row
+const latestVersionCondition = (table, alias = 't1') => `
+  ${alias}.processed_at = (
+    SELECT MAX(t2.processed_at)
+    FROM ${table} t2
+    WHERE t2.load_date = ${alias}.load_date
+    AND t2.loan_type = ${alias}.loan_type
+    AND t2.denom = ${alias}.denom
+  )
+`;
+
+// Summable loan metrics, including the derived fields convertToDashboardFormat computes per row
+const AGGREGATE_METRICS = {
+  gross_lent: 'SUM(COALESCE(gross_lent, 0))',
+  sfee_lent: 'SUM(COALESCE(sfee_lent, 0))',
+  principal_lent: 'SUM(COALESCE(gross_lent, 0) - COALESCE(sfee_lent, 0))',
+  lending_txns: 'SUM(COALESCE(lending_txns, 0))',
+  late_fees_charged: 'SUM(COALESCE(late_fees_charged, 0))',
+  setup_fees_charged: 'SUM(COALESCE(setup_fees_charged, 0))',
+  interest_fees_charged: 'SUM(COALESCE(interest_fees_charged, 0))',
+  daily_fees_charged: 'SUM(COALESCE(daily_fees_charged, 0))',
+  fees_charged: `SUM(
+    COALESCE(sfee_lent, 0) + COALESCE(late_fees_charged, 0) +
+    COALESCE(setup_fees_charged, 0) + COALESCE(interest_fees_charged, 0) +
+    COALESCE(daily_fees_charged, 0)
+  )`,
+  recovery_txns: 'SUM(COALESCE(recovery_txns, 0))',
+  principal_recovered: 'SUM(COALESCE(principal_recovered, 0))',
+  sfee_recovered: 'SUM(COALESCE(sfee_recovered, 0))',
+  late_fees_recovered: 'SUM(COALESCE(late_fees_recovered, 0))',
+  setup_fees_recovered: 'SUM(COALESCE(setup_fees_recovered, 0))',
+  interest_fees_recovered: 'SUM(COALESCE(interest_fees_recovered, 0))',
+  daily_fees_recovered: 'SUM(COALESCE(daily_fees_recovered, 0))',
+  gross_recovered: `SUM(
+    COALESCE(principal_recovered, 0) + COALESCE(sfee_recovered, 0) +
+    COALESCE(late_fees_recovered, 0) + COALESCE(setup_fees_recovered, 0) +
+    COALESCE(interest_fees_recovered, 0) + COALESCE(daily_fees_recovered, 0)
+  )`
+};
+
+// Bucket start expressions - weeks start on Monday
+const GRANULARITY_BUCKETS = {
+  day: 'DATE(load_date)',
+  week: 'DATE_SUB(DATE(load_date), INTERVAL WEEKDAY(load_date) DAY)',
+  month: "DATE_FORMAT(load_date, '%Y-%m-01')"
+};
+
+const AGGREGATE_GROUP_FIELDS = ['telco', 'loan_type', 'denom'];
+
+// Sum metrics over the latest version of every row in [startDate, endDate] across the given tables
+const fetchMetricTotals = async (tables, { startDate, endDate, loanType, metricNames }) => {
+  const totals = { record_count: 0 };
+  metricNames.forEach(metric => { totals[metric] = 0; });
+
+  const whereConditions = ['load_date BETWEEN ? AND ?'];
+  const params = [startDate, endDate];
+  if (loanType) {
+    whereConditions.push('loan_type LIKE ?');
+    params.push(`%${loanType}%`);
+  }
+
+  for (const { table, filter } of tables) {
+    const query = `
+      SELECT
+        COUNT(*) AS record_count,
+        ${metricNames.map(metric => `${AGGREGATE_METRICS[metric]} AS ${metric}`).join(',\n        ')}
+      FROM ${table} t1
+      WHERE ${[...whereConditions, filter].join(' AND ')}
+      AND ${latestVersionCondition(table)}
+    `;
+
+    const [rows] = await pool.query(query, params);
+    const row = rows[0] || {};
+    totals.record_count += parseInt(row.record_count) || 0;
+    metricNames.forEach(metric => {
+      totals[metric] += parseFloat(row[metric]) || 0;
+    });
+  }
+
+  return totals;
+};
+
+// Snapshots from one telco's NPL tables - the latest report_date by default, a single
+// report_date, or every snapshot between start_date and end_date
+const fetchNplSnapshots = async (telco, { report_date, start_date, end_date } = {}) => {
+  const { outstanding, recovered, unrecovered } = telco.npl_tables;
+
+  const whereConditions = [];
+  const params = [];
+
+  if (start_date && end_date) {
+    whereConditions.push('DATE(o.report_date) BETWEEN ? AND ?');
+    params.push(start_date, end_date);
+  } else if (report_date) {
+    whereConditions.push('DATE(o.report_date) = ?');
+    params.push(report_date);
+  } else {
+    whereConditions.push(`o.report_date = (SELECT MAX(report_date) FROM ${outstanding})`);
+  }
+
+  // Recovered and unrecovered figures are joined on the snapshot's own date; when the
+  // unrecovered table lags, the percentage falls back to one computed from the other two
+  const query = `
+    SELECT 
+      o.loan_type,
+      o.total_balance,
+      o.within_tenure,
+      o.arrears_30_days,
+      o.arrears_31_60_days,
+      o.arrears_61_90_days,
+      o.arrears_91_120_days,
+      o.arrears_121_150_days,
+      o.arrears_151_180_days,
+      o.arrears_181_plus_days,
+      ROUND(((o.total_balance - o.within_tenure) / o.total_balance * 100), 2) as arrears_percentage,
+      o.report_date,
+      COALESCE(r.total_balance, 0) as net_recovered_value,
+      COALESCE(u.total_balance, 
+        ROUND(((o.total_balance) / (o.total_balance + COALESCE(r.total_balance, 0)) * 100), 2)
+      ) as unrecovered_percentage_net
+    FROM ${outstanding} o
+    LEFT JOIN ${recovered} r 
+      ON o.loan_type = r.loan_type 
+      AND DATE(o.report_date) = DATE(r.report_date)
+    LEFT JOIN ${unrecovered} u 
+      ON o.loan_type = u.loan_type 
+      AND DATE(o.report_date) = DATE(u.report_date)
+    WHERE ${whereConditions.join(' AND ')}
+    ORDER BY 
+      DATE(o.report_date),
+      ${nplLoanTypeOrder('o.loan_type')}
+  `;
+
+  const [rows] = await pool.query(query, params);
+  return rows.map(row => ({ telco: telco.name, ...formatNplRow(row) }));
+};
+
+// Comparison windows for a [start, end] period. Month and year shifts clamp to the shorter month,
+// and a period ending on a month end compares against the whole prior month end.
+const COMPARISON_TYPES = ['dod', 'wow', 'mom', 'yoy'];
+
+const shiftPeriod = (startDate, endDate, comparison) => {
+  const start = moment(startDate);
+  const end = moment(endDate);
+
+  if (comparison === 'dod') {
+    const length = end.diff(start, 'days') + 1;
+    return {
+      start_date: start.clone().subtract(length, 'days').format('YYYY-MM-DD'),
+      end_date: start.clone().subtract(1, 'days').format('YYYY-MM-DD')
+    };
+  }
+
+  if (comparison === 'wow') {
+    return {
+      start_date: start.clone().subtract(7, 'days').format('YYYY-MM-DD'),
+      end_date: end.clone().subtract(7, 'days').format('YYYY-MM-DD')
+    };
+  }
+
+  const unit = comparison === 'yoy' ? 'years' : 'months';
+  const endsOnMonthEnd = end.date() === end.daysInMonth();
+  const shiftedEnd = end.clone().subtract(1, unit);
+  return {
+    start_date: start.clone().subtract(1, unit).format('YYYY-MM-DD'),
+    end_date: (endsOnMonthEnd ? shiftedEnd.endOf('month') : shiftedEnd).format('YYYY-MM-DD')
+  };
+};
+
+// Absolute and percentage change; percentage is null when the base is zero
+const metricDelta = (current, previous) => {
+  const change = current - previous;
+  return {
+    current,
+    previous,
+    change,
+    change_pct: previous === 0 ? null : Math.round((change / previous) * 10000) / 100
+  };
+};
+
+// NPL arrears buckets in ageing order
+const NPL_ARREARS_BUCKETS = [
+  'arrears_30_days',
+  'arrears_31_60_days',
+  'arrears_61_90_days',
+  'arrears_91_120_days',
+  'arrears_121_150_days',
+  'arrears_151_180_days',
+  'arrears_181_plus_days'
+];
+
+const formatNplRow = (row) => ({
+  ...row,
+  report_date: moment(row.report_date).format('YYYY-MM-DD'),
+  // Use direct field mapping from database
+  total_balance: parseFloat(row.total_balance) || 0,
+  within_tenure: parseFloat(row.within_tenure) || 0,
+  ...NPL_ARREARS_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket]: parseFloat(row[bucket]) || 0 }), {}),
+  // Recovered and percentage data from JOINed tables
+  net_recovered_value: parseFloat(row.net_recovered_value) || 0,
+  unrecovered_percentage_net: parseFloat(row.unrecovered_percentage_net) || 0,
+  // Calculated percentages
+  arrears_percentage: parseFloat(row.arrears_percentage) || 0
+});
+
+// Implied bucket-to-bucket migration between two snapshots of one loan type. Roll rate is the
+// next bucket's balance at `to` over the current bucket's balance at `from`, which only holds
+// when the snapshots are at least a bucket width (NPL_BUCKET_DAYS) apart - any closer and most
+// of the balance hasn't had time to age into the next bucket. Such pairs are flagged with
+// spans_bucket_width: false.
+//
+// The snapshots only hold bucket totals, and within_tenure also takes in new lending, so the
+// cure rate back into within_tenure is an estimate: of the arrears_30_days balance at `from`,
+// whatever neither rolled on into arrears_31_60_days nor was recovered in between. Recoveries
+// come from the growth of the cumulative net recovered value, shared across the arrears buckets
+// in proportion to their balances at `from`. Without a recovered figure on both dates the
+// estimate is null; non_roll_rate_pct (cured or recovered) is always given.
+const NPL_ROLL_SEQUENCE = ['within_tenure', ...NPL_ARREARS_BUCKETS];
+const NPL_BUCKET_DAYS = 30;
+
+const percentageOf = (numerator, denominator) => (
+  denominator ? Math.round((numerator / denominator) * 10000) / 100 : null
+);
+
+const nplMigration = (from, to) => {
+  const migrations = [];
+  for (let i = 0; i < NPL_ROLL_SEQUENCE.length - 1; i++) {
+    const fromBucket = NPL_ROLL_SEQUENCE[i];
+    const toBucket = NPL_ROLL_SEQUENCE[i + 1];
+    migrations.push({
+      from_bucket: fromBucket,
+      to_bucket: toBucket,
+      from_balance: from[fromBucket],
+      to_balance: to[toBucket],
+      roll_rate_pct: percentageOf(to[toBucket], from[fromBucket])
+    });
+  }
+
+  const earlyArrears = from.arrears_30_days;
+  const rolledOn = Math.min(to.arrears_31_60_days, earlyArrears);
+  const notRolled = earlyArrears - rolledOn;
+
+  const totalArrears = NPL_ARREARS_BUCKETS.reduce((sum, bucket) => sum + from[bucket], 0);
+  const recovered = from.net_recovered_value === null || to.net_recovered_value === null || !totalArrears
+    ? null
+    : Math.min(Math.max(to.net_recovered_value - from.net_recovered_value, 0) * (earlyArrears / totalArrears), notRolled);
+  const cured = recovered === null ? null : notRolled - recovered;
+  const daysBetween = moment(to.report_date).diff(moment(from.report_date), 'days');
+
+  return {
+    from_date: from.report_date,
+    to_date: to.report_date,
+    days_between: daysBetween,
+    spans_bucket_width: daysBetween >= NPL_BUCKET_DAYS,
+    migrations,
+    cure: {
+      arrears_30_days: earlyArrears,
+      rolled_on_balance: rolledOn,
+      recovered_balance: recovered,
+      cured_balance: cured,
+      cure_rate_pct: cured === null ? null : percentageOf(cured, earlyArrears),
+      non_roll_rate_pct: percentageOf(notRolled, earlyArrears)
+    }
+  };
+};
+
+// Loan figures compared between processed_at versions of the same row
+const RESTATEMENT_FIELDS = NUMERIC_COLUMNS.filter(column => column !== 'denom');
+
+// Split version rows (ordered by key then processed_at) into one history array per load_date/loan_type/denom
+const groupVersions = (rows) => {
+  const histories = new Map();
+  rows.forEach(row => {
+    const key = `${moment(row.load_date).format('YYYY-MM-DD')}|${row.loan_type}|${row.denom}`;
+    if (!histories.has(key)) histories.set(key, []);
+    histories.get(key).push(row);
+  });
+  return Array.from(histories.values());
+};
+
+const formatVersion = (row) => ({
+  processed_at: moment(row.processed_at).format('YYYY-MM-DD HH:mm:ss'),
+  file_source: row.file_source || '',
+  ...RESTATEMENT_FIELDS.reduce((acc, field) => ({ ...acc, [field]: parseFloat(row[field]) || 0 }), {})
+});
+
+// Fields that differ between two versions of a row, with absolute and percentage change
+const diffVersions = (previous, current) => {
+  const before = formatVersion(previous);
+  const after = formatVersion(current);
+  return {
+    from_processed_at: before.processed_at,
+    to_processed_at: after.processed_at,
+    from_file_source: before.file_source,
+    to_file_source: after.file_source,
+    fields: RESTATEMENT_FIELDS
+      .filter(field => before[field] !== after[field])
+      .map(field => ({ field, ...metricDelta(after[field], before[field]) }))
+  };
+};
+
+// Daily totals checked for day-over-day jumps by the data-quality report
+const DATA_QUALITY_OUTLIER_METRICS = ['gross_lent', 'lending_txns', 'gross_recovered'];
+
+// First day of the bucket containing date (JS twin of GRANULARITY_BUCKETS)
+const bucketStart = (date, granularity) => {
+  if (granularity === 'week') return moment(date).startOf('isoWeek').format('YYYY-MM-DD');
+  if (granularity === 'month') return moment(date).startOf('month').format('YYYY-MM-DD');
+  return moment(date).format('YYYY-MM-DD');
+};
+
+// Last day covered by a bucket starting at periodStart
+const bucketEnd = (periodStart, granularity) => {
+  if (granularity === 'week') return moment(periodStart).add(6, 'days').format('YYYY-MM-DD');
+  if (granularity === 'month') return moment(periodStart).endOf('month').format('YYYY-MM-DD');
+  return moment(periodStart).format('YYYY-MM-DD');
+};
+
+// Lending vs due-window recovery amounts tracked by the collection-efficiency curve
+const COLLECTION_METRICS = ['principal_lent', 'sfee_lent', 'principal_recovered', 'sfee_recovered'];
+
+// Days after the due date whose recoveries still count towards a lending day; grace_days overrides
+const parsedGraceDays = parseInt(process.env.COLLECTION_GRACE_DAYS);
+const COLLECTION_GRACE_DAYS = Number.isFinite(parsedGraceDays) && parsedGraceDays >= 0 ? parsedGraceDays : 3;
+const MAX_COLLECTION_GRACE_DAYS = 60;
+
+const collectionEfficiency = (totals) => ({
+  principal_efficiency: percentageOf(totals.principal_recovered, totals.principal_lent),
+  sfee_efficiency: percentageOf(totals.sfee_recovered, totals.sfee_lent),
+  collection_efficiency: percentageOf(
+    totals.principal_recovered + totals.sfee_recovered,
+    totals.principal_lent + totals.sfee_lent
+  )
+});
+
+// Loan metrics broken down by the denomination mix report
+const DENOMINATION_METRICS = ['lending_txns', 'gross_lent', 'principal_lent', 'recovery_txns', 'principal_recovered', 'gross_recovered'];
+
+// Metrics whose share of the total is reported and tracked for mix shift
+const DENOMINATION_SHARE_METRICS = ['lending_txns', 'gross_lent', 'gross_recovered'];
+
+// Lower edges of the default denomination bands; the last band is open-ended
+const DEFAULT_DENOMINATION_BANDS = [0, 50, 100, 250, 500, 1000];
+
+// Bands from sorted lower edges, e.g. [0, 50, 100] -> 0-49, 50-99, 100+
+const denominationBands = (edges) => edges.map((min, index) => {
+  const max = index < edges.length - 1 ? edges[index + 1] - 1 : null;
+  return { band: max === null ? `${min}+` : `${min}-${max}`, min_denom: min, max_denom: max };
+});
+
+const emptyDenominationTotals = () => DENOMINATION_METRICS.reduce((acc, metric) => ({ ...acc, [metric]: 0 }), {});
+
+// Totals plus share of `overall` for each share metric and the recovery KPIs
+const denominationFigures = (totals, overall) => {
+  const { recovery_rate, principal_recovery_rate } = computeKpis(totals);
+  const figures = { ...totals, recovery_rate, principal_recovery_rate };
+  DENOMINATION_SHARE_METRICS.forEach(metric => {
+    figures[`${metric}_share_pct`] = percentageOf(totals[metric], overall[metric]);
+  });
+  return figures;
+};
+
+// Change in share between periods in percentage points; null when either period has no total
+const mixShift = (current, previous) => DENOMINATION_SHARE_METRICS.reduce((acc, metric) => {
+  const key = `${metric}_share_pct`;
+  const shift = current[key] === null || previous[key] === null ? null : Math.round((current[key] - previous[key]) * 100) / 100;
+  return { ...acc, [metric]: shift };
+}, {});
+
+// Actives column behind each window of the engagement funnel
+const FUNNEL_WINDOWS = {
+  daily: 'overall_actives_daily',
+  wtd: 'overall_actives_wtd',
+  mtd: 'overall_actives_mtd',
+  ytd: 'overall_actives_ytd'
+};
+
+// First day of the window ending on `date` over which lending_txns is summed
+const funnelWindowStart = (date, window) => {
+  if (window === 'wtd') return bucketStart(date, 'week');
+  if (window === 'mtd') return bucketStart(date, 'month');
+  if (window === 'ytd') return moment(date).startOf('year').format('YYYY-MM-DD');
+  return moment(date).format('YYYY-MM-DD');
+};
+
+const perActive = (value, actives) => (actives ? Math.round((value / actives) * 100) / 100 : null);
+
+// Penetration and transactions per active for one day's product-level base figures;
+// windowTxns holds lending_txns summed over each window up to that day
+const engagementFunnel = (day, windowTxns) => {
+  const funnel = { date: day.date, qualified_base: day.qualified_base, actives: {}, penetration_pct: {}, lending_txns: {}, txns_per_active: {} };
+  Object.entries(FUNNEL_WINDOWS).forEach(([window, column]) => {
+    funnel.actives[window] = day[column];
+    funnel.penetration_pct[window] = percentageOf(day[column], day.qualified_base);
+    funnel.lending_txns[window] = windowTxns[window];
+    funnel.txns_per_active[window] = perActive(windowTxns[window], day[column]);
   });
+  return funnel;
+};
+
+// Change of every window's penetration (percentage points) and txns per active between two funnels
+const funnelChange = (from, to) => Object.keys(FUNNEL_WINDOWS).reduce((acc, window) => {
+  const fromPct = from.penetration_pct[window];
+  const toPct = to.penetration_pct[window];
+  const fromTpa = from.txns_per_active[window];
+  const toTpa = to.txns_per_active[window];
+  return {
+    ...acc,
+    [window]: {
+      penetration_pp: fromPct === null || toPct === null ? null : Math.round((toPct - fromPct) * 100) / 100,
+      txns_per_active: fromTpa === null || toTpa === null ? null : metricDelta(toTpa, fromTpa)
+    }
+  };
+}, {});
+
+// Metrics projected by the month-end forecast unless `metrics` is given
+const FORECAST_METRICS = ['gross_lent', 'fees_charged', 'gross_recovered'];
+
+// z-score for the forecast's two-sided 90% confidence band
+const FORECAST_BAND_Z = 1.645;
+
+// Project month-end for one metric from its daily values (date -> value). Remaining days are
+// filled with the mean of the same weekday over the history window; the band assumes daily
+// residuals around those weekday means are independent.
+const forecastMonthEnd = (dailyValues, { asOf, historyStart }) => {
+  const monthStart = moment(asOf).startOf('month');
+  const monthEnd = moment(asOf).endOf('month');
+
+  let actual = 0;
+  for (let day = moment(monthStart); day.isSameOrBefore(asOf, 'day'); day.add(1, 'day')) {
+    actual += dailyValues.get(day.format('YYYY-MM-DD')) || 0;
+  }
+
+  const byWeekday = Array.from({ length: 7 }, () => []);
+  for (let day = moment(historyStart); day.isSameOrBefore(asOf, 'day'); day.add(1, 'day')) {
+    const value = dailyValues.get(day.format('YYYY-MM-DD'));
+    if (value !== undefined) byWeekday[day.isoWeekday() - 1].push(value);
+  }
+
+  const historyValues = byWeekday.flat();
+  const overallMean = historyValues.length > 0 ? historyValues.reduce((a, b) => a + b, 0) / historyValues.length : 0;
+  const weekdayMeans = byWeekday.map(values => (
+    values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : overallMean
+  ));
+
+  const residuals = byWeekday.flatMap((values, index) => values.map(value => value - weekdayMeans[index]));
+  const dailyStdDev = residuals.length > 1
+    ? Math.sqrt(residuals.reduce((sum, residual) => sum + residual * residual, 0) / (residuals.length - 1))
+    : 0;
+
+  let remaining = 0;
+  let remainingDays = 0;
+  for (let day = moment(asOf).add(1, 'day'); day.isSameOrBefore(monthEnd, 'day'); day.add(1, 'day')) {
+    remaining += weekdayMeans[day.isoWeekday() - 1];
+    remainingDays++;
+  }
+
+  const projected = actual + remaining;
+  const margin = FORECAST_BAND_Z * dailyStdDev * Math.sqrt(remainingDays);
+  const round2 = (value) => Math.round(value * 100) / 100;
+
+  return {
+    mtd_actual: round2(actual),
+    projected: round2(projected),
+    lower: round2(Math.max(actual, projected - margin)),
+    upper: round2(projected + margin),
+    run_rate_projection: round2(actual / moment(asOf).date() * monthEnd.date()),
+    remaining_days: remainingDays,
+    history_days: historyValues.length
+  };
+};
+
+// Monetary fields converted by `currency=` on each kind of response
+const LOAN_MONEY_FIELDS = [
+  'gross_lent', 'principal_lent', 'service_fee_lent', 'sfee_lent',
+  'late_fees_charged', 'setup_fees_charged', 'interest_fees_charged', 'daily_fees_charged',
+  'principal_recovered', 'service_fee_recovered', 'sfee_recovered',
+  'late_fees_recovered', 'setup_fees_recovered', 'interest_fees_recovered', 'daily_fees_recovered',
+  'gross_recovered'
+];
+
+const SUMMARY_MONEY_FIELDS = [
+  'total_gross_lent', 'total_sfee_lent', 'total_principal_recovered',
+  'total_service_fee_recovered', 'total_late_fees_recovered', 'total_gross_recovered'
+];
+
+const NPL_MONEY_FIELDS = ['total_balance', 'within_tenure', ...NPL_ARREARS_BUCKETS, 'net_recovered_value'];
+
+// Validated `currency=` param: { currency } (null when absent) or { error }
+const requestedCurrency = (req) => {
+  const currency = normalizeCurrency(req.query.currency);
+  if (!currency) return { currency: null };
+  if (!CURRENCY_PATTERN.test(currency)) return { error: 'Invalid currency parameter, expected an ISO 4217 code such as USD' };
+  return { currency };
+};
+
+// Tag rows with the telco's local currency, or convert them when `to` asks for another one.
+// Returns { rows, missing } where missing describes the dates no FX rate covers.
+const applyCurrency = async (rows, { fields, dateField, telco, from, to }) => {
+  if (!to || to === from) {
+    return { rows: rows.map(row => ({ ...row, currency: from, fx_rate: 1.0, fx_rate_date: null })), missing: null };
+  }
+
+  const { rows: converted, missingDates } = await fx.convertRows(rows, { fields, dateField, from, to });
+  return {
+    rows: converted,
+    missing: missingDates.length > 0 ? { telco, from, to, dates: missingDates } : null
+  };
+};
+
+const fxRateUnavailable = (res, currency, missing) => res.status(422).json({
+  error: 'FX rate not available',
+  code: 'FX_RATE_UNAVAILABLE',
+  currency,
+  missing
+});
+
+// Validated `format=` param: { format } (null for JSON) or { error }
+const requestedFormat = (req) => {
+  const format = req.query.format ? String(req.query.format).toLowerCase() : null;
+  if (!format || format === 'json') return { format: null };
+  if (!EXPORT_FORMATS.includes(format)) return { error: `Invalid format parameter, expected json, ${EXPORT_FORMATS.join(' or ')}` };
+  return { format };
+};
+
+// Filename fragment describing a start_date/end_date or days= range
+const rangeLabel = ({ start_date, end_date, days }, defaultDays) => (
+  start_date && end_date ? `${start_date}-to-${end_date}` : `last-${parseInt(days) || defaultDays}-days`
+);
+
+// Opaque /api/loan-data page cursor: the (load_date, telco, loan_type, denom) key of the last row served
+const encodeCursor = ({ date, telco, loan_type, denom }) => (
+  Buffer.from(JSON.stringify([date, telco, loan_type, denom])).toString('base64url')
+);
+
+const decodeCursor = (value) => {
+  try {
+    const [date, telco, loanType, denom] = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (!moment(date, 'YYYY-MM-DD', true).isValid() || typeof telco !== 'string' || typeof loanType !== 'string' || !Number.isInteger(denom)) {
+      return null;
+    }
+    return { date, telco, loan_type: loanType, denom };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Rows of one telco's table that sort after the cursor in (load_date DESC, telco, loan_type, denom)
+// order. The telco is constant per table, so it only decides whether cursor-day rows are included.
+const cursorCondition = (cursor, telcoName) => {
+  if (telcoName > cursor.telco) return { sql: 'load_date <= ?', params: [cursor.date] };
+  if (telcoName < cursor.telco) return { sql: 'load_date < ?', params: [cursor.date] };
+  return {
+    sql: '(load_date < ? OR (load_date = ? AND (loan_type > ? OR (loan_type = ? AND denom > ?))))',
+    params: [cursor.date, cursor.date, cursor.loan_type, cursor.loan_type, cursor.denom]
+  };
+};
+
+// Stream loan rows for format=csv|xlsx|ndjson straight from MySQL instead of buffering them,
+// one table after another. Each source is a resolveLoanTables entry plus its whereClause/params.
+// FX coverage is checked before the first byte is sent, since a download can't turn into a 422
+// halfway through.
+const streamLoanExport = async (res, { format, filename, sources, currency, limit }) => {
+  const lookups = [];
+  const missingRates = [];
+
+  for (const source of sources) {
+    if (!currency || currency === source.currency) {
+      lookups.push(null);
+      continue;
+    }
+
+    const [dateRows] = await pool.query(
+      `SELECT DISTINCT DATE(load_date) AS load_date FROM ${source.table} t1 WHERE ${source.whereClause} ORDER BY load_date`,
+      source.params
+    );
+    const dates = dateRows.map(row => moment(row.load_date).format('YYYY-MM-DD'));
+    const lookup = dates.length > 0 ? await fx.rateLookup(source.currency, currency, dates[0], dates[dates.length - 1]) : () => null;
+    const missingDates = dates.filter(date => !lookup(date));
+    if (missingDates.length > 0) {
+      missingRates.push({ telco: source.telco, from: source.currency, to: currency, dates: missingDates });
+    }
+    lookups.push(lookup);
+  }
+
+  if (missingRates.length > 0) {
+    return fxRateUnavailable(res, currency, missingRates);
+  }
+
+  // The rows stream over a connection of their own. A mysql2 query stream pauses its connection
+  // under backpressure and nothing resumes it once the stream is destroyed, so when the client
+  // goes away mid-download the connection is discarded instead of going back to the pool stalled.
+  const connection = await pool.getConnection();
+  let completed = false;
+
+  try {
+    const writer = createExportWriter(res, { format, columns: LOAN_EXPORT_COLUMNS, filename, sheetName: 'Loan Data' });
+
+    for (const [index, source] of sources.entries()) {
+      const query = `
+        SELECT ${LOAN_SELECT_COLUMNS}
+        FROM ${source.table} t1
+        WHERE ${source.whereClause}
+        AND ${latestVersionCondition(source.table)}
+        ORDER BY load_date DESC, loan_type, denom
+        ${limit ? 'LIMIT ?' : ''}
+      `;
+      const stream = traceQueryStream(connection.connection.query(query, limit ? [...source.params, limit] : source.params).stream(), query, metrics);
+
+      for await (const raw of stream) {
+        const [row] = convertToDashboardFormat([raw]);
+        const converted = lookups[index]
+          ? convertRow(row, { fields: LOAN_MONEY_FIELDS, dateField: 'date', to: currency, lookup: lookups[index] })
+          : { ...row, currency: source.currency };
+        await writer.write({ ...converted, kpis: computeKpis(converted) });
+      }
+    }
+
+    await writer.end();
+    completed = true;
+  } finally {
+    if (completed) connection.release();
+    else connection.destroy();
+  }
+};
+
+// Alert rules evaluate the same metrics and NPL snapshots the read routes serve
+const alertEngine = createAlertEngine({
+  pool,
+  loanMetrics: Object.keys(AGGREGATE_METRICS),
+  nplMetrics: ['total_balance', 'within_tenure', ...NPL_ARREARS_BUCKETS, 'arrears_percentage', 'net_recovered_value', 'unrecovered_percentage_net'],
+  fetchMetricTotals,
+  fetchNplSnapshots
+});
+
+// Query parameters shared by the routes' validation schemas
+const MAX_DAYS = 3660;
+const MAX_PAGE_SIZE = 10000;
+
+const TELCO_PARAM = param.telco({ default: 'both' });
+const LOAN_TYPE_FILTER_PARAM = param.string({ description: 'Loan type name or part of one, e.g. "Nano 7D" or "7D"' });
+const CURRENCY_PARAM = param.currency({ description: 'Convert money fields to this ISO 4217 currency' });
+const FORMAT_PARAM = param.enum(['json', ...EXPORT_FORMATS], { default: 'json', description: 'csv, xlsx and ndjson stream every matching row as a download' });
+const ID_PARAM = param.integer({ min: 1 });
+
+const daysParam = (defaultDays) => param.integer({
+  min: 1,
+  max: MAX_DAYS,
+  default: defaultDays,
+  description: 'Trailing days covered when no start_date/end_date is given'
+});
+
+const GRANULARITY_PARAM = (defaultGranularity) => param.enum(Object.keys(GRANULARITY_BUCKETS), { default: defaultGranularity });
+
+// start_date/end_date are only applied as a pair, so one without the other is rejected
+const DATE_RANGE_PARAMS = {
+  start_date: param.date({ description: 'First day of the range; requires end_date' }),
+  end_date: param.date({ description: 'Last day of the range (inclusive); requires start_date' })
+};
+const DATE_RANGES = [['start_date', 'end_date']];
+
+// Request bodies as documented in the OpenAPI spec; alerts.js, targets.js and fx.js check the fields
+const ALERT_RULE_BODY = {
+  type: 'object',
+  required: ['name', 'rule_type', 'telco'],
+  properties: {
+    name: { type: 'string' },
+    rule_type: { type: 'string', enum: RULE_TYPES },
+    telco: { type: 'string' },
+    loan_type: { type: 'string', description: 'Loan type filter; required for npl rules, e.g. "7 Days Loan"' },
+    metric: { type: 'string', description: 'Loan metric or "numerator/denominator" for metric rules, NPL metric for npl rules' },
+    operator: { type: 'string', enum: Object.keys(OPERATORS) },
+    threshold: { type: 'number' },
+    window_days: { type: 'integer', minimum: 1, default: 1 },
+    deadline_time: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'HH:mm deadline for freshness rules' },
+    webhook_url: { type: 'string', format: 'uri' },
+    enabled: { type: 'boolean', default: true }
+  }
+};
+
+const TARGET_BODY = {
+  type: 'object',
+  required: TARGET_FIELDS.filter(field => field !== 'loan_type'),
+  properties: {
+    month: { type: 'string', pattern: '^\\d{4}-\\d{2}$' },
+    telco: { type: 'string' },
+    loan_type: { type: 'string', description: 'Product code; empty for the whole telco' },
+    metric: { type: 'string', enum: Object.keys(AGGREGATE_METRICS) },
+    target_value: { type: 'number', minimum: 0 }
+  }
+};
+
+const FX_RATES_BODY = {
+  type: 'object',
+  required: ['rates'],
+  properties: {
+    rates: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['rate_date', 'base_currency', 'quote_currency', 'rate'],
+        properties: {
+          rate_date: { type: 'string', format: 'date' },
+          base_currency: { type: 'string', pattern: CURRENCY_PATTERN.source },
+          quote_currency: { type: 'string', pattern: CURRENCY_PATTERN.source },
+          rate: { type: 'number', exclusiveMinimum: true, minimum: 0 }
+        }
+      }
+    }
+  }
 };
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    database: 'connected'
+app.get('/api/health', validate({
+  summary: 'Database round trip check',
+  tags: ['Health'],
+  public: true
+}), async (req, res) => {
+  try {
+    const latencyMs = await health.ping();
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      database: 'connected',
+      latency_ms: latencyMs
+    });
+  } catch (error) {
+    health.reportQueryError(error);
+    logger.warn('Health check failed', { error });
+    res.status(503).json({
+      status: 'unhealthy',
+      timestamp: new Date().toISOString(),
+      database: 'unavailable',
+      code: error.code || 'DATABASE_UNAVAILABLE',
+      ...(EXPOSE_ERROR_DETAILS ? { details: error.message } : {})
+    });
+  }
+});
+
+// Liveness - the process is up and serving; never depends on MySQL, so a database outage
+// doesn't get the container restarted
+app.get('/api/health/live', validate({
+  summary: 'Liveness probe - never depends on MySQL',
+  tags: ['Health'],
+  public: true
+}), (req, res) => {
+  res.json({ ...health.liveness(), timestamp: new Date().toISOString() });
+});
+
+// Readiness - MySQL answers, every registered table is reachable and data is recent enough.
+// 503 while starting, draining for shutdown or when the database or a table is unreachable.
+app.get('/api/health/ready', validate({
+  summary: 'Readiness probe - database, table reachability and data freshness',
+  tags: ['Health'],
+  public: true,
+  errors: [503]
+}), async (req, res) => {
+  try {
+    const readiness = await health.checkReadiness();
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+  } catch (error) {
+    logger.error('Readiness check failed', { error });
+    res.status(503).json({ ready: false, status: 'check_failed', ...(EXPOSE_ERROR_DETAILS ? { details: error.message } : {}) });
+  }
+});
+
+// Prometheus metrics - outside /api so scrapers don't need an API key. Set METRICS_TOKEN to
+// require `Authorization: Bearer <token>` on scrapes.
+app.get('/metrics', validate({
+  summary: 'Prometheus metrics',
+  description: 'Bearer token required only when METRICS_TOKEN is set.',
+  tags: ['Health'],
+  public: true,
+  produces: ['text/plain'],
+  errors: [401]
+}), (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const header = req.get('authorization') || '';
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const given = crypto.createHash('sha256').update(header.toLowerCase().startsWith('bearer ') ? header.slice(7).trim() : '').digest();
+    if (!crypto.timingSafeEqual(expected, given)) {
+      return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+  }
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
+});
+
+// OpenAPI document generated from the registered routes and their validation schemas.
+// Public so frontends and partners can generate clients before they have a key.
+let openApiDocument = null;
+
+app.get('/api/openapi.json', validate({
+  summary: 'OpenAPI 3 description of this API',
+  tags: ['Health'],
+  public: true
+}), (req, res) => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument(app, {
+      title: 'Emerald Dashboard API',
+      version: packageVersion,
+      description: 'Loan, NPL, KPI and alerting data for the Emerald Finance dashboards. Errors share one shape: { error, code, request_id }.'
+    });
+  }
+  res.json(openApiDocument);
+});
+
+// Everything below the health check requires an API key and is limited to the caller's telcos
+app.use('/api', authenticate, enforceTelcoScope);
+
+// Degraded mode while MySQL is unreachable: GETs get the last cached response for the same
+// request (marked stale), everything else a 503 with Retry-After instead of a slow failure
+const DEGRADED_RETRY_AFTER_SECONDS = 30;
+
+app.use('/api', (req, res, next) => {
+  if (health.isDatabaseAvailable()) return next();
+
+  const { status, since, last_error: lastError } = health.database();
+  res.set('X-Degraded', 'database-unavailable');
+
+  const stale = req.method === 'GET' ? queryCache.peek(req) : null;
+  if (stale) {
+    res.set('X-Cache', 'STALE');
+    res.set('X-Cache-Age', String(stale.age_seconds));
+    return res.json(stale.body);
+  }
+
+  res.set('Retry-After', String(DEGRADED_RETRY_AFTER_SECONDS));
+  res.status(503).json({
+    error: 'Database unavailable',
+    code: 'DATABASE_UNAVAILABLE',
+    details: lastError ? lastError.message : `Database is ${status}`,
+    database: { status, since },
+    retry_after: DEGRADED_RETRY_AFTER_SECONDS
   });
 });
 
 // Get loan data with filters
-app.get('/api/loan-data', async (req, res) => {
+app.get('/api/loan-data', validate({
+  summary: 'Loan rows with filters, paginated by cursor',
+  tags: ['Loan data'],
+  query: {
+    loan_type: LOAN_TYPE_FILTER_PARAM,
+    telco: TELCO_PARAM,
+    days: daysParam(7),
+    ...DATE_RANGE_PARAMS,
+    limit: param.integer({ min: 1, max: MAX_PAGE_SIZE, default: 1000, description: 'Rows per page; exports are unlimited unless given' }),
+    cursor: param.string({ maxLength: 500, description: 'next_cursor of the previous page' }),
+    currency: CURRENCY_PARAM,
+    format: FORMAT_PARAM
+  },
+  ranges: DATE_RANGES,
+  errors: [422]
+}), queryCache.middleware('loan'), async (req, res) => {
   try {
     const {
       loan_type,
@@ -145,18 +1061,18 @@ app.get('/api/loan-data', async (req, res) => {
       limit = '1000' // Add limit parameter for pagination
     } = req.query;
 
-    // Determine which tables to query - be more strict about telco filtering
-    const tables = [];
-    if (telco.toLowerCase() === 'airtel') {
-      tables.push('airtel_loan_data');
-      console.log('🔍 Filtering to AIRTEL ONLY for accurate comparison');
-    } else if (telco.toLowerCase() === 'mtn') {
-      tables.push('MTN_loan_data');
-    } else if (telco.toLowerCase() === 'both') {
-      tables.push('airtel_loan_data');
-      tables.push('MTN_loan_data');
+    const { currency, error: currencyError } = requestedCurrency(req);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
     }
 
+    const { format, error: formatError } = requestedFormat(req);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+
+    // Determine which tables to query - each table is also filtered to its own telco's rows
+    const tables = resolveLoanTables(telco, req.auth.telcos);
     if (tables.length === 0) {
       return res.status(400).json({ error: 'Invalid telco parameter' });
     }
@@ -180,461 +1096,2811 @@ app.get('/api/loan-data', async (req, res) => {
       whereConditions.push('loan_type LIKE ?');
       params.push(`%${loan_type}%`);
     }
-    
-    // Additional telco filtering in SQL for extra safety
-    if (telco.toLowerCase() === 'airtel') {
-      whereConditions.push("(telco = 'Airtel' OR telco = 'airtel')");
-      console.log('🔍 Adding SQL filter for Airtel telco only');
-    } else if (telco.toLowerCase() === 'mtn') {
-      whereConditions.push("(telco = 'MTN' OR telco = 'mtn')");
+
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor parameter' });
     }
 
-    const whereClause = whereConditions.length > 0 ? whereConditions.join(' AND ') : '1=1';
+    // Each table's slice of the page, resuming after the cursor
+    const sources = tables.map(source => {
+      const resume = cursor ? cursorCondition(cursor, source.telco) : null;
+      return {
+        ...source,
+        whereClause: [...whereConditions, source.filter, ...(resume ? [resume.sql] : [])].join(' AND '),
+        params: [...params, ...(resume ? resume.params : [])]
+      };
+    });
+
+    // Exports and NDJSON stream every matching row unless a limit is asked for explicitly
+    if (format) {
+      return await streamLoanExport(res, {
+        format,
+        currency,
+        filename: exportFilename('loan-data', [telco, loan_type, rangeLabel(req.query, 7), currency], format),
+        sources,
+        limit: req.query.limit ? parseInt(limit) : null
+      });
+    }
+
+    const pageSize = parseInt(limit) || 1000;
 
-    // Execute queries for each table
+    // Execute queries for each table - one row beyond the page shows whether another page follows
     let allResults = [];
+    const missingRates = [];
 
-    for (const table of tables) {
+    for (const { table, telco: telcoName, currency: localCurrency, whereClause, params: sourceParams } of sources) {
       const query = `
-        SELECT 
-          load_date, loan_type, denom, gross_lent, sfee_lent, lending_txns,
-          late_fees_charged, principal_recovered, sfee_recovered, 
-          late_fees_recovered, recovery_txns, interest_fees_charged,
-          interest_fees_recovered, setup_fees_charged, setup_fees_recovered,
-          daily_fees_charged, daily_fees_recovered, country, telco,
-          qualified_base, overall_actives_daily, overall_actives_wtd,
-          overall_actives_mtd, overall_actives_ytd, processed_at, file_source
+        SELECT ${LOAN_SELECT_COLUMNS}
         FROM ${table} t1
         WHERE ${whereClause}
-        AND t1.processed_at = (
-          SELECT MAX(t2.processed_at) 
-          FROM ${table} t2 
-          WHERE t2.load_date = t1.load_date 
-          AND t2.loan_type = t1.loan_type 
-          AND t2.denom = t1.denom
-        )
-        ORDER BY load_date DESC, loan_type
+        AND ${latestVersionCondition(table)}
+        ORDER BY load_date DESC, loan_type, denom
         LIMIT ?
       `;
 
-      const queryParams = [...params, parseInt(limit)];
-      console.log('🔍 SQL Query:', query.replace(/\s+/g, ' ').trim());
-      console.log('🔍 Query Params:', queryParams);
-      console.log('🔍 Parameter types:', queryParams.map(p => typeof p));
-      console.log('🔍 Parameter values:', queryParams.map(p => JSON.stringify(p)));
+      const queryParams = [...sourceParams, pageSize + 1];
       const [rows] = await pool.query(query, queryParams);
-      const formattedData = convertToDashboardFormat(rows);
-      allResults = allResults.concat(formattedData);
+      const { rows: formattedData, missing } = await applyCurrency(convertToDashboardFormat(rows), {
+        fields: LOAN_MONEY_FIELDS, dateField: 'date', telco: telcoName, from: localCurrency, to: currency
+      });
+      if (missing) missingRates.push(missing);
+      allResults = allResults.concat(formattedData.map(row => ({ row: { ...row, kpis: computeKpis(row) }, telco: telcoName })));
     }
 
-    // Sort combined results by date
-    allResults.sort((a, b) => new Date(b.date) - new Date(a.date));
+    if (missingRates.length > 0) {
+      return fxRateUnavailable(res, currency, missingRates);
+    }
+
+    // Merge the tables by date, then telco - the sort is stable, so each table keeps its
+    // loan_type/denom order from MySQL
+    allResults.sort((a, b) => {
+      if (a.row.date !== b.row.date) return a.row.date < b.row.date ? 1 : -1;
+      if (a.telco !== b.telco) return a.telco < b.telco ? -1 : 1;
+      return 0;
+    });
+
+    const page = allResults.slice(0, pageSize);
+    const last = page[page.length - 1];
+    const nextCursor = allResults.length > pageSize
+      ? encodeCursor({ date: last.row.date, telco: last.telco, loan_type: last.row.loan_type, denom: last.row.denom })
+      : null;
 
     res.json({
-      data: allResults,
-      count: allResults.length,
+      data: page.map(({ row }) => row),
+      count: page.length,
+      limit: pageSize,
+      next_cursor: nextCursor,
+      currency,
       filters: {
         loan_type,
         telco,
         days: parseInt(days),
         start_date,
-        end_date
+        end_date,
+        currency,
+        cursor: req.query.cursor
       }
     });
 
   } catch (error) {
-    console.error('Database query failed:', error);
+    logger.error('Database query failed', { error });
+    // A failed download can only be cut short once its headers are out
+    if (res.headersSent) return res.destroy(error);
     res.status(500).json({ error: 'Database query failed', details: error.message });
   }
 });
 
-// Get loan data by specific loan type (for individual dashboard pages)
-app.get('/api/loan-data/:loanType', async (req, res) => {
+// Get pre-summed loan metrics bucketed by day, week or month
+app.get('/api/loan-data/aggregate', requireRole('analyst'), validate({
+  summary: 'Pre-summed loan metrics bucketed by day, week or month',
+  tags: ['Loan analytics'],
+  query: {
+    loan_type: LOAN_TYPE_FILTER_PARAM,
+    telco: TELCO_PARAM,
+    days: daysParam(30),
+    ...DATE_RANGE_PARAMS,
+    granularity: GRANULARITY_PARAM('day'),
+    group_by: param.list(AGGREGATE_GROUP_FIELDS, { description: 'Break buckets down by these fields' }),
+    metrics: param.list(Object.keys(AGGREGATE_METRICS), { description: 'Metrics to return (default all)' })
+  },
+  ranges: DATE_RANGES
+}), queryCache.middleware('loan'), async (req, res) => {
   try {
-    const { loanType } = req.params;
-    const { 
-      telco = 'both', 
-      days = '7', // Reduce default for better performance
-      start_date, 
+    const {
+      loan_type,
+      telco = 'both',
+      days = '30',
+      start_date,
       end_date,
-      limit = '500' // Add limit for specific loan types
+      granularity = 'day',
+      group_by = '',
+      metrics
     } = req.query;
 
-    // Map loan type to database format
-    const loanTypeMap = {
-      '7': 'Nano 7D',
-      '14': 'Nano 14D', 
-      '21': 'Nano 21D',
-      '30': 'Nano 30D'
-    };
+    const bucketExpression = GRANULARITY_BUCKETS[granularity.toLowerCase()];
+    if (!bucketExpression) {
+      return res.status(400).json({ error: 'Invalid granularity parameter', allowed: Object.keys(GRANULARITY_BUCKETS) });
+    }
+    const bucketGranularity = granularity.toLowerCase();
 
-    const dbLoanType = loanTypeMap[loanType];
-    if (!dbLoanType) {
-      return res.status(400).json({ error: 'Invalid loan type' });
+    const groupFields = group_by.split(',').map(field => field.trim().toLowerCase()).filter(Boolean);
+    const invalidGroups = groupFields.filter(field => !AGGREGATE_GROUP_FIELDS.includes(field));
+    if (invalidGroups.length > 0) {
+      return res.status(400).json({ error: 'Invalid group_by parameter', invalid: invalidGroups, allowed: AGGREGATE_GROUP_FIELDS });
     }
 
-    // Determine tables to query - be strict about telco filtering
-    const tables = [];
-    if (telco.toLowerCase() === 'airtel') {
-      tables.push('airtel_loan_data');
-      console.log('🔍 Specific loan type - filtering to AIRTEL ONLY');
-    } else if (telco.toLowerCase() === 'mtn') {
-      tables.push('MTN_loan_data');
-    } else if (telco.toLowerCase() === 'both') {
-      tables.push('airtel_loan_data');
-      tables.push('MTN_loan_data');
+    const metricNames = metrics
+      ? metrics.split(',').map(metric => metric.trim().toLowerCase()).filter(Boolean)
+      : Object.keys(AGGREGATE_METRICS);
+    const invalidMetrics = metricNames.filter(metric => !AGGREGATE_METRICS[metric]);
+    if (metricNames.length === 0 || invalidMetrics.length > 0) {
+      return res.status(400).json({ error: 'Invalid metrics parameter', invalid: invalidMetrics, allowed: Object.keys(AGGREGATE_METRICS) });
     }
 
-    let allResults = [];
+    const tables = resolveLoanTables(telco, req.auth.telcos);
+    if (tables.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
 
-    // Build WHERE conditions for date filtering
-    const whereConditions = ['loan_type LIKE ?'];
-    let params = [`%${dbLoanType}%`];
+    const whereConditions = [];
+    const params = [];
 
-    // Date filtering - use load_date
     if (start_date && end_date) {
       whereConditions.push('load_date BETWEEN ? AND ?');
       params.push(start_date, end_date);
     } else {
-      const daysInt = parseInt(days) || 7;
+      const daysInt = parseInt(days) || 30;
       whereConditions.push('load_date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)');
       params.push(daysInt);
     }
 
-    // Additional telco filtering for specific loan type endpoint
-    if (telco.toLowerCase() === 'airtel') {
-      whereConditions.push("(telco = 'Airtel' OR telco = 'airtel')");
-    } else if (telco.toLowerCase() === 'mtn') {
-      whereConditions.push("(telco = 'MTN' OR telco = 'mtn')");
+    if (loan_type) {
+      whereConditions.push('loan_type LIKE ?');
+      params.push(`%${loan_type}%`);
     }
-    
-    const whereClause = whereConditions.join(' AND ');
+
+    const sqlGroups = groupFields.filter(field => field !== 'telco');
+    const selectGroups = sqlGroups.map(field => `${field}, `).join('');
+    const groupByClause = ['period_start', ...sqlGroups].join(', ');
+    const metricSelect = metricNames.map(metric => `${AGGREGATE_METRICS[metric]} AS ${metric}`).join(',\n          ');
+
+    // Buckets keyed on period + requested group fields, summed across telcos when telco isn't grouped
+    const buckets = new Map();
+
+    for (const { table, telco: telcoName, filter } of tables) {
+      const query = `
+        SELECT
+          ${bucketExpression} AS period_start,
+          ${selectGroups}COUNT(*) AS record_count,
+          ${metricSelect}
+        FROM ${table} t1
+        WHERE ${[...whereConditions, filter].join(' AND ')}
+        AND ${latestVersionCondition(table)}
+        GROUP BY ${groupByClause}
+      `;
+
+      const [rows] = await pool.query(query, params);
+
+      for (const row of rows) {
+        const periodStart = moment(row.period_start).format('YYYY-MM-DD');
+        const groupValues = {};
+        groupFields.forEach(field => {
+          if (field === 'telco') groupValues.telco = telcoName;
+          else if (field === 'denom') groupValues.denom = parseInt(row.denom) || 0;
+          else groupValues[field] = row[field] || '';
+        });
+
+        const key = JSON.stringify([periodStart, ...groupFields.map(field => groupValues[field])]);
+        if (!buckets.has(key)) {
+          const bucket = {
+            period_start: periodStart,
+            period_end: bucketEnd(periodStart, bucketGranularity),
+            ...groupValues,
+            record_count: 0
+          };
+          metricNames.forEach(metric => { bucket[metric] = 0; });
+          buckets.set(key, bucket);
+        }
+
+        const bucket = buckets.get(key);
+        bucket.record_count += parseInt(row.record_count) || 0;
+        metricNames.forEach(metric => {
+          bucket[metric] += parseFloat(row[metric]) || 0;
+        });
+      }
+    }
+
+    const data = Array.from(buckets.values()).sort((a, b) => {
+      if (a.period_start !== b.period_start) return a.period_start < b.period_start ? -1 : 1;
+      for (const field of groupFields) {
+        if (a[field] !== b[field]) return a[field] < b[field] ? -1 : 1;
+      }
+      return 0;
+    });
+
+    res.json({
+      data,
+      count: data.length,
+      granularity: bucketGranularity,
+      group_by: groupFields,
+      metrics: metricNames,
+      filters: {
+        loan_type,
+        telco,
+        days: parseInt(days),
+        start_date,
+        end_date
+      }
+    });
+
+  } catch (error) {
+    logger.error('Aggregate query failed', { error });
+    res.status(500).json({ error: 'Aggregate query failed', details: error.message });
+  }
+});
+
+// Compare a day, month-to-date or custom range against its DoD/WoW/MoM/YoY equivalents
+app.get('/api/loan-data/compare', requireRole('analyst'), validate({
+  summary: 'A day, month-to-date or custom range against its DoD/WoW/MoM/YoY equivalents',
+  tags: ['Loan analytics'],
+  query: {
+    loan_type: LOAN_TYPE_FILTER_PARAM,
+    telco: TELCO_PARAM,
+    date: param.date({ description: 'Day the period ends on (default yesterday)' }),
+    period: param.enum(['day', 'mtd'], { default: 'day' }),
+    ...DATE_RANGE_PARAMS,
+    comparisons: param.list(COMPARISON_TYPES, { description: 'Comparisons to run (default all)' }),
+    metrics: param.list(Object.keys(AGGREGATE_METRICS), { description: 'Metrics to compare (default all)' })
+  },
+  ranges: DATE_RANGES
+}), queryCache.middleware('loan'), async (req, res) => {
+  try {
+    const {
+      loan_type,
+      telco = 'both',
+      date,
+      period = 'day',
+      start_date,
+      end_date,
+      comparisons,
+      metrics
+    } = req.query;
+
+    const tables = resolveLoanTables(telco, req.auth.telcos);
+    if (tables.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    // Resolve the current period: explicit range, or a day / month-to-date ending on `date` (default yesterday)
+    let startDate;
+    let endDate;
+    if (start_date && end_date) {
+      startDate = moment(start_date, 'YYYY-MM-DD', true);
+      endDate = moment(end_date, 'YYYY-MM-DD', true);
+    } else {
+      endDate = date ? moment(date, 'YYYY-MM-DD', true) : moment().subtract(1, 'days').startOf('day');
+      if (period === 'mtd') {
+        startDate = endDate.clone().startOf('month');
+      } else if (period === 'day') {
+        startDate = endDate.clone();
+      } else {
+        return res.status(400).json({ error: 'Invalid period parameter', allowed: ['day', 'mtd'] });
+      }
+    }
+
+    if (!startDate.isValid() || !endDate.isValid() || startDate.isAfter(endDate)) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const comparisonTypes = comparisons
+      ? comparisons.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+      : COMPARISON_TYPES;
+    const invalidComparisons = comparisonTypes.filter(type => !COMPARISON_TYPES.includes(type));
+    if (comparisonTypes.length === 0 || invalidComparisons.length > 0) {
+      return res.status(400).json({ error: 'Invalid comparisons parameter', invalid: invalidComparisons, allowed: COMPARISON_TYPES });
+    }
+
+    const metricNames = metrics
+      ? metrics.split(',').map(metric => metric.trim().toLowerCase()).filter(Boolean)
+      : Object.keys(AGGREGATE_METRICS);
+    const invalidMetrics = metricNames.filter(metric => !AGGREGATE_METRICS[metric]);
+    if (metricNames.length === 0 || invalidMetrics.length > 0) {
+      return res.status(400).json({ error: 'Invalid metrics parameter', invalid: invalidMetrics, allowed: Object.keys(AGGREGATE_METRICS) });
+    }
+
+    const current = {
+      start_date: startDate.format('YYYY-MM-DD'),
+      end_date: endDate.format('YYYY-MM-DD')
+    };
+    const currentTotals = await fetchMetricTotals(tables, {
+      startDate: current.start_date,
+      endDate: current.end_date,
+      loanType: loan_type,
+      metricNames
+    });
+
+    const results = {};
+    for (const type of comparisonTypes) {
+      const window = shiftPeriod(current.start_date, current.end_date, type);
+      const previousTotals = await fetchMetricTotals(tables, {
+        startDate: window.start_date,
+        endDate: window.end_date,
+        loanType: loan_type,
+        metricNames
+      });
+
+      const deltas = {};
+      metricNames.forEach(metric => {
+        deltas[metric] = metricDelta(currentTotals[metric], previousTotals[metric]);
+      });
+
+      results[type] = {
+        ...window,
+        record_count: previousTotals.record_count,
+        metrics: deltas
+      };
+    }
+
+    res.json({
+      current: {
+        ...current,
+        record_count: currentTotals.record_count,
+        metrics: metricNames.reduce((acc, metric) => ({ ...acc, [metric]: currentTotals[metric] }), {})
+      },
+      comparisons: results,
+      filters: {
+        loan_type,
+        telco,
+        date,
+        period,
+        start_date,
+        end_date
+      }
+    });
+
+  } catch (error) {
+    logger.error('Comparison query failed', { error });
+    res.status(500).json({ error: 'Comparison query failed', details: error.message });
+  }
+});
+
+// Get every processed_at version of a load_date with field-by-field changes between consecutive versions
+app.get('/api/loan-data/versions', requireRole('analyst'), validate({
+  summary: 'Every processed_at version of a load_date with the changes between versions',
+  tags: ['Loan data quality'],
+  query: {
+    load_date: param.date({ required: true }),
+    loan_type: LOAN_TYPE_FILTER_PARAM,
+    denom: param.integer({ min: 0, description: 'Denomination' }),
+    telco: TELCO_PARAM
+  }
+}), async (req, res) => {
+  try {
+    const { load_date, loan_type, denom, telco = 'both' } = req.query;
+
+    if (!load_date || !moment(load_date, 'YYYY-MM-DD', true).isValid()) {
+      return res.status(400).json({ error: 'load_date (YYYY-MM-DD) is required' });
+    }
+
+    const tables = resolveLoanTables(telco, req.auth.telcos);
+    if (tables.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    const whereConditions = ['load_date = ?'];
+    const params = [load_date];
+    if (loan_type) {
+      whereConditions.push('loan_type LIKE ?');
+      params.push(`%${loan_type}%`);
+    }
+    if (denom !== undefined) {
+      whereConditions.push('denom = ?');
+      params.push(parseInt(denom));
+    }
+
+    const versions = [];
+    const rows = [];
+
+    for (const { table, telco: telcoName, filter } of tables) {
+      const [versionRows] = await pool.query(`
+        SELECT load_date, loan_type, denom, processed_at, file_source, ${RESTATEMENT_FIELDS.join(', ')}
+        FROM ${table}
+        WHERE ${[...whereConditions, filter].join(' AND ')}
+        ORDER BY loan_type, denom, processed_at
+      `, params);
+
+      // Version summary: each processed_at load that touched this date
+      const byVersion = new Map();
+      versionRows.forEach(row => {
+        const processedAt = moment(row.processed_at).format('YYYY-MM-DD HH:mm:ss');
+        if (!byVersion.has(processedAt)) {
+          byVersion.set(processedAt, { telco: telcoName, processed_at: processedAt, file_source: row.file_source || '', rows: 0 });
+        }
+        byVersion.get(processedAt).rows++;
+      });
+      versions.push(...byVersion.values());
+
+      // Per loan_type/denom history with diffs between consecutive versions
+      groupVersions(versionRows).forEach(history => {
+        rows.push({
+          telco: telcoName,
+          loan_type: history[0].loan_type,
+          denom: parseInt(history[0].denom) || 0,
+          version_count: history.length,
+          latest_processed_at: moment(history[history.length - 1].processed_at).format('YYYY-MM-DD HH:mm:ss'),
+          versions: history.map(formatVersion),
+          changes: history.slice(1).map((row, index) => diffVersions(history[index], row))
+        });
+      });
+    }
+
+    versions.sort((a, b) => (a.processed_at < b.processed_at ? -1 : 1));
+
+    res.json({
+      load_date,
+      versions,
+      rows,
+      restated_rows: rows.filter(row => row.changes.some(change => change.fields.length > 0)).length,
+      filters: { load_date, loan_type, denom, telco }
+    });
+
+  } catch (error) {
+    logger.error('Version history query failed', { error });
+    res.status(500).json({ error: 'Version history query failed', details: error.message });
+  }
+});
+
+// Get recent restatements across all load dates - rows whose newest version landed in the last `days` days
+app.get('/api/loan-data/restatements', requireRole('analyst'), validate({
+  summary: 'Rows whose newest version landed in the last `days` days',
+  tags: ['Loan data quality'],
+  query: {
+    telco: TELCO_PARAM,
+    days: daysParam(7),
+    limit: param.integer({ min: 1, max: 1000, default: 100 }),
+    include_unchanged: param.boolean({ default: false, description: 'Also list reloads that changed no value' })
+  }
+}), async (req, res) => {
+  try {
+    const { telco = 'both', days = '7', limit = '100', include_unchanged } = req.query;
+
+    const tables = resolveLoanTables(telco, req.auth.telcos);
+    if (tables.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    const daysInt = parseInt(days) || 7;
+    const limitInt = parseInt(limit) || 100;
+    let restatements = [];
+
+    for (const { table, telco: telcoName, filter } of tables) {
+      const [keys] = await pool.query(`
+        SELECT load_date, loan_type, denom, COUNT(DISTINCT processed_at) AS version_count
+        FROM ${table}
+        WHERE ${filter}
+        GROUP BY load_date, loan_type, denom
+        HAVING COUNT(DISTINCT processed_at) > 1
+        AND MAX(processed_at) >= DATE_SUB(NOW(), INTERVAL ? DAY)
+        ORDER BY MAX(processed_at) DESC
+        LIMIT ?
+      `, [daysInt, limitInt]);
+
+      if (keys.length === 0) continue;
+
+      const [versionRows] = await pool.query(`
+        SELECT load_date, loan_type, denom, processed_at, file_source, ${RESTATEMENT_FIELDS.join(', ')}
+        FROM ${table}
+        WHERE ${filter}
+        AND (load_date, loan_type, denom) IN (?)
+        ORDER BY load_date, loan_type, denom, processed_at
+      `, [keys.map(key => [moment(key.load_date).format('YYYY-MM-DD'), key.loan_type, key.denom])]);
+
+      groupVersions(versionRows).forEach(history => {
+        const current = history[history.length - 1];
+        const previous = history[history.length - 2];
+        restatements.push({
+          telco: telcoName,
+          load_date: moment(current.load_date).format('YYYY-MM-DD'),
+          loan_type: current.loan_type,
+          denom: parseInt(current.denom) || 0,
+          version_count: history.length,
+          ...diffVersions(previous, current)
+        });
+      });
+    }
+
+    if (include_unchanged !== 'true') {
+      restatements = restatements.filter(restatement => restatement.fields.length > 0);
+    }
+    restatements.sort((a, b) => (a.to_processed_at > b.to_processed_at ? -1 : 1));
+    restatements = restatements.slice(0, limitInt);
+
+    res.json({
+      restatements,
+      count: restatements.length,
+      filters: { telco, days: daysInt, limit: limitInt, include_unchanged: include_unchanged === 'true' }
+    });
+
+  } catch (error) {
+    logger.error('Restatement feed query failed', { error });
+    res.status(500).json({ error: 'Restatement feed query failed', details: error.message });
+  }
+});
+
+// Month-end projection per telco and loan_type from MTD actuals plus weekday seasonality,
+// compared against the previous month's actual totals
+app.get('/api/loan-data/forecast', requireRole('analyst'), validate({
+  summary: 'Month-end projection from MTD actuals and weekday seasonality',
+  tags: ['Loan analytics'],
+  query: {
+    loan_type: LOAN_TYPE_FILTER_PARAM,
+    telco: TELCO_PARAM,
+    date: param.date({ description: 'As-of day (default yesterday)' }),
+    history_weeks: param.integer({ min: 1, max: 52, default: 8, description: 'Weeks of history behind the weekday profile' }),
+    metrics: param.list(Object.keys(AGGREGATE_METRICS), { description: `Metrics to project (default ${FORECAST_METRICS.join(', ')})` })
+  }
+}), queryCache.middleware('loan'), async (req, res) => {
+  try {
+    const {
+      loan_type,
+      telco = 'both',
+      date,
+      history_weeks = '8',
+      metrics
+    } = req.query;
+
+    const metricNames = metrics
+      ? metrics.split(',').map(metric => metric.trim().toLowerCase()).filter(Boolean)
+      : FORECAST_METRICS;
+    const invalidMetrics = metricNames.filter(metric => !AGGREGATE_METRICS[metric]);
+    if (metricNames.length === 0 || invalidMetrics.length > 0) {
+      return res.status(400).json({ error: 'Invalid metrics parameter', invalid: invalidMetrics, allowed: Object.keys(AGGREGATE_METRICS) });
+    }
+
+    if (date && !moment(date, 'YYYY-MM-DD', true).isValid()) {
+      return res.status(400).json({ error: 'Invalid date parameter', expected: 'YYYY-MM-DD' });
+    }
+
+    const historyWeeks = Math.min(Math.max(parseInt(history_weeks) || 8, 1), 52);
+
+    const tables = resolveLoanTables(telco, req.auth.telcos);
+    if (tables.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    const series = [];
+
+    for (const { table, telco: telcoName, filter } of tables) {
+      // Forecast from the requested day, otherwise from the latest day this telco has loaded
+      let asOf = date;
+      if (!asOf) {
+        const [latest] = await pool.query(`SELECT MAX(load_date) AS latest_date FROM ${table} WHERE ${filter}`);
+        if (!latest[0] || !latest[0].latest_date) continue;
+        asOf = moment(latest[0].latest_date).format('YYYY-MM-DD');
+      }
+
+      const historyStart = moment(asOf).subtract(historyWeeks * 7 - 1, 'days').format('YYYY-MM-DD');
+      const previousMonthStart = moment(asOf).subtract(1, 'month').startOf('month');
+      const previousMonthEnd = moment(previousMonthStart).endOf('month').format('YYYY-MM-DD');
+      const fetchStart = moment.min(moment(historyStart), previousMonthStart).format('YYYY-MM-DD');
+
+      const whereConditions = ['load_date BETWEEN ? AND ?', filter];
+      const params = [fetchStart, asOf];
+      if (loan_type) {
+        whereConditions.push('loan_type LIKE ?');
+        params.push(`%${loan_type}%`);
+      }
+
+      const query = `
+        SELECT
+          DATE(load_date) AS load_date,
+          loan_type,
+          ${metricNames.map(metric => `${AGGREGATE_METRICS[metric]} AS ${metric}`).join(',\n          ')}
+        FROM ${table} t1
+        WHERE ${whereConditions.join(' AND ')}
+        AND ${latestVersionCondition(table)}
+        GROUP BY DATE(load_date), loan_type
+      `;
+
+      const [rows] = await pool.query(query, params);
+
+      // loan_type -> metric -> date -> value
+      const daily = new Map();
+      rows.forEach(row => {
+        const loanType = row.loan_type || '';
+        if (!daily.has(loanType)) {
+          daily.set(loanType, new Map(metricNames.map(metric => [metric, new Map()])));
+        }
+        const day = moment(row.load_date).format('YYYY-MM-DD');
+        metricNames.forEach(metric => {
+          daily.get(loanType).get(metric).set(day, parseFloat(row[metric]) || 0);
+        });
+      });
+
+      for (const [loanType, metricValues] of daily) {
+        const forecast = {};
+        metricNames.forEach(metric => {
+          const values = metricValues.get(metric);
+          const projection = forecastMonthEnd(values, { asOf, historyStart });
+
+          let previousActual = 0;
+          values.forEach((value, day) => {
+            if (day >= previousMonthStart.format('YYYY-MM-DD') && day <= previousMonthEnd) previousActual += value;
+          });
+          previousActual = Math.round(previousActual * 100) / 100;
+
+          forecast[metric] = {
+            ...projection,
+            previous_month_actual: previousActual,
+            vs_previous_month: metricDelta(projection.projected, previousActual)
+          };
+        });
+
+        series.push({ telco: telcoName, loan_type: loanType, as_of: asOf, forecast });
+      }
+    }
+
+    series.sort((a, b) => (a.telco !== b.telco ? (a.telco < b.telco ? -1 : 1) : (a.loan_type < b.loan_type ? -1 : 1)));
+
+    res.json({
+      series,
+      count: series.length,
+      metrics: metricNames,
+      history_weeks: historyWeeks,
+      confidence: 0.9,
+      filters: {
+        loan_type,
+        telco,
+        date
+      }
+    });
+
+  } catch (error) {
+    logger.error('Forecast query failed', { error });
+    res.status(500).json({ error: 'Forecast query failed', details: error.message });
+  }
+});
+
+// Collection efficiency per telco and tenor: lending on day D is matched against the principal
+// and service fee recovered from D + tenor_days through D + tenor_days + grace_days, then
+// bucketed by lending date. The data is daily totals, so a day's recoveries can belong to any
+// lending day whose window covers it; they are shared between those days by principal lent, so
+// no recovery is counted twice.
+app.get('/api/loan-data/collection-efficiency', requireRole('analyst'), validate({
+  summary: 'Recovery in the due window against lending per telco and tenor',
+  tags: ['Loan analytics'],
+  query: {
+    loan_type: param.productCode(),
+    telco: TELCO_PARAM,
+    days: daysParam(90),
+    ...DATE_RANGE_PARAMS,
+    granularity: GRANULARITY_PARAM('week'),
+    grace_days: param.integer({
+      min: 0,
+      max: MAX_COLLECTION_GRACE_DAYS,
+      default: COLLECTION_GRACE_DAYS,
+      description: 'Days after the due date whose recoveries still count'
+    })
+  },
+  ranges: DATE_RANGES
+}), queryCache.middleware('loan'), async (req, res) => {
+  try {
+    const {
+      loan_type,
+      telco = 'both',
+      days = '90',
+      start_date,
+      end_date,
+      granularity = 'week',
+      grace_days
+    } = req.query;
+
+    const graceDays = grace_days ? parseInt(grace_days) : COLLECTION_GRACE_DAYS;
+    const bucketGranularity = granularity.toLowerCase();
+    if (!GRANULARITY_BUCKETS[bucketGranularity]) {
+      return res.status(400).json({ error: 'Invalid granularity parameter', allowed: Object.keys(GRANULARITY_BUCKETS) });
+    }
+
+    const telcos = resolveTelcos(telco, req.auth.telcos);
+    if (telcos.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    // Every product with a tenor, or just the requested product code
+    const targets = resolveLoanTables(telco, req.auth.telcos).flatMap((table, index) => telcos[index].products
+      .filter(product => product.tenor_days && (!loan_type || product.code === String(loan_type)))
+      .map(product => ({ ...table, product })));
+
+    if (targets.length === 0) {
+      return res.status(400).json({ error: 'Invalid loan type', allowed: productCodes() });
+    }
+
+    const daysInt = parseInt(days) || 90;
+    const startDate = start_date && end_date ? start_date : moment().subtract(daysInt, 'days').format('YYYY-MM-DD');
+    const endDate = start_date && end_date ? end_date : moment().format('YYYY-MM-DD');
+
+    const series = [];
+
+    for (const { table, telco: telcoName, filter, product } of targets) {
+      const tenor = parseInt(product.tenor_days);
+      // Lending from up to grace_days before the range shares recoveries with its first days
+      const lendingStartDate = moment(startDate).subtract(graceDays, 'days').format('YYYY-MM-DD');
+      const dueEndDate = moment(endDate).add(tenor + graceDays, 'days').format('YYYY-MM-DD');
+
+      const query = `
+        SELECT
+          DATE(load_date) AS load_date,
+          ${COLLECTION_METRICS.map(metric => `${AGGREGATE_METRICS[metric]} AS ${metric}`).join(',\n          ')}
+        FROM ${table} t1
+        WHERE load_date BETWEEN ? AND ?
+        AND loan_type LIKE ?
+        AND ${filter}
+        AND ${latestVersionCondition(table)}
+        GROUP BY DATE(load_date)
+      `;
+
+      const [rows] = await pool.query(query, [lendingStartDate, dueEndDate, `%${product.loan_type}%`]);
+
+      const daily = new Map();
+      rows.forEach(row => {
+        const values = {};
+        COLLECTION_METRICS.forEach(metric => { values[metric] = parseFloat(row[metric]) || 0; });
+        daily.set(moment(row.load_date).format('YYYY-MM-DD'), values);
+      });
+
+      // Recoveries after the latest loaded day haven't happened yet, so those cohorts are incomplete
+      const latestLoaded = Array.from(daily.keys()).sort().pop() || null;
+
+      const principalLentOn = (date) => (daily.has(date) ? daily.get(date).principal_lent : 0);
+
+      // Principal lent by every lending day whose window covers recovery day `date`
+      const windowLent = new Map();
+      const coveringLent = (date) => {
+        if (!windowLent.has(date)) {
+          let total = 0;
+          for (let offset = tenor; offset <= tenor + graceDays; offset++) {
+            total += principalLentOn(moment(date).subtract(offset, 'days').format('YYYY-MM-DD'));
+          }
+          windowLent.set(date, total);
+        }
+        return windowLent.get(date);
+      };
+
+      const buckets = new Map();
+      for (let day = moment(startDate); day.isSameOrBefore(endDate, 'day'); day.add(1, 'day')) {
+        const lendingDate = day.format('YYYY-MM-DD');
+        const dueDate = moment(day).add(tenor, 'days').format('YYYY-MM-DD');
+        const windowEnd = moment(day).add(tenor + graceDays, 'days').format('YYYY-MM-DD');
+        const periodStart = bucketStart(lendingDate, bucketGranularity);
+
+        if (!buckets.has(periodStart)) {
+          buckets.set(periodStart, {
+            period_start: periodStart,
+            period_end: bucketEnd(periodStart, bucketGranularity),
+            due_start: dueDate,
+            due_end: windowEnd,
+            principal_lent: 0,
+            sfee_lent: 0,
+            principal_recovered: 0,
+            sfee_recovered: 0,
+            complete: true
+          });
+        }
+
+        const bucket = buckets.get(periodStart);
+        const lent = daily.get(lendingDate);
+        bucket.due_end = windowEnd;
+        if (lent) {
+          bucket.principal_lent += lent.principal_lent;
+          bucket.sfee_lent += lent.sfee_lent;
+
+          for (let offset = 0; offset <= graceDays; offset++) {
+            const recoveryDate = moment(dueDate).add(offset, 'days').format('YYYY-MM-DD');
+            const recovered = daily.get(recoveryDate);
+            const covering = coveringLent(recoveryDate);
+            if (recovered && covering > 0) {
+              const share = lent.principal_lent / covering;
+              bucket.principal_recovered += recovered.principal_recovered * share;
+              bucket.sfee_recovered += recovered.sfee_recovered * share;
+            }
+          }
+        }
+        if (!latestLoaded || windowEnd > latestLoaded) bucket.complete = false;
+      }
+
+      // Clip the reported lending window to the requested range
+      const points = Array.from(buckets.values()).map(bucket => ({
+        ...bucket,
+        period_start: bucket.period_start < startDate ? startDate : bucket.period_start,
+        period_end: bucket.period_end > endDate ? endDate : bucket.period_end,
+        ...collectionEfficiency(bucket)
+      }));
+
+      const overall = points.filter(point => point.complete).reduce((acc, point) => {
+        COLLECTION_METRICS.forEach(metric => { acc[metric] += point[metric]; });
+        return acc;
+      }, COLLECTION_METRICS.reduce((acc, metric) => ({ ...acc, [metric]: 0 }), {}));
+
+      series.push({
+        telco: telcoName,
+        loan_type: product.loan_type,
+        code: product.code,
+        tenor_days: tenor,
+        grace_days: graceDays,
+        latest_loaded_date: latestLoaded,
+        points,
+        overall: { ...overall, ...collectionEfficiency(overall) }
+      });
+    }
+
+    res.json({
+      series,
+      count: series.length,
+      granularity: bucketGranularity,
+      start_date: startDate,
+      end_date: endDate,
+      filters: {
+        loan_type,
+        telco,
+        days: daysInt,
+        start_date,
+        end_date,
+        grace_days: graceDays
+      }
+    });
+
+  } catch (error) {
+    logger.error('Collection efficiency query failed', { error });
+    res.status(500).json({ error: 'Collection efficiency query failed', details: error.message });
+  }
+});
+
+// Denomination mix per telco and tenor: totals by denomination band for a period and the one
+// it is compared against, the shift in each band's share, and the top contributing denominations
+app.get('/api/loan-data/denominations', requireRole('analyst'), validate({
+  summary: 'Denomination band mix, mix shift and top denominations',
+  tags: ['Loan analytics'],
+  query: {
+    loan_type: param.productCode(),
+    telco: TELCO_PARAM,
+    days: daysParam(30),
+    ...DATE_RANGE_PARAMS,
+    comparison: param.enum(COMPARISON_TYPES, { default: 'dod', description: 'Period compared against, unless compare_start_date/compare_end_date are given' }),
+    compare_start_date: param.date(),
+    compare_end_date: param.date(),
+    bands: param.string({ pattern: /^\d+(\s*,\s*\d+)*$/, patternMessage: 'must be comma-separated integers', description: 'Ascending lower band edges, e.g. 0,50,100,250' }),
+    rank_by: param.enum(DENOMINATION_SHARE_METRICS, { default: 'gross_lent' }),
+    top: param.integer({ min: 1, max: 100, default: 10 })
+  },
+  ranges: [...DATE_RANGES, ['compare_start_date', 'compare_end_date']]
+}), queryCache.middleware('loan'), async (req, res) => {
+  try {
+    const {
+      loan_type,
+      telco = 'both',
+      days = '30',
+      start_date,
+      end_date,
+      comparison = 'dod',
+      compare_start_date,
+      compare_end_date,
+      bands,
+      rank_by = 'gross_lent',
+      top = '10'
+    } = req.query;
+
+    const telcos = resolveTelcos(telco, req.auth.telcos);
+    if (telcos.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    const targets = resolveLoanTables(telco, req.auth.telcos).flatMap((table, index) => telcos[index].products
+      .filter(product => !loan_type || product.code === String(loan_type))
+      .map(product => ({ ...table, product })));
+
+    if (targets.length === 0) {
+      return res.status(400).json({ error: 'Invalid loan type', allowed: productCodes() });
+    }
+
+    const daysInt = parseInt(days) || 30;
+    const startDate = start_date && end_date ? moment(start_date, 'YYYY-MM-DD', true) : moment().subtract(daysInt, 'days').startOf('day');
+    const endDate = start_date && end_date ? moment(end_date, 'YYYY-MM-DD', true) : moment().startOf('day');
+    if (!startDate.isValid() || !endDate.isValid() || startDate.isAfter(endDate)) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const current = { start_date: startDate.format('YYYY-MM-DD'), end_date: endDate.format('YYYY-MM-DD') };
+
+    // Explicit comparison range, or a DoD/WoW/MoM/YoY shift of the current one (dod = the preceding period of equal length)
+    let previous;
+    if (compare_start_date && compare_end_date) {
+      const compareStart = moment(compare_start_date, 'YYYY-MM-DD', true);
+      const compareEnd = moment(compare_end_date, 'YYYY-MM-DD', true);
+      if (!compareStart.isValid() || !compareEnd.isValid() || compareStart.isAfter(compareEnd)) {
+        return res.status(400).json({ error: 'Invalid comparison date range' });
+      }
+      previous = { start_date: compareStart.format('YYYY-MM-DD'), end_date: compareEnd.format('YYYY-MM-DD') };
+    } else {
+      const comparisonType = comparison.toLowerCase();
+      if (!COMPARISON_TYPES.includes(comparisonType)) {
+        return res.status(400).json({ error: 'Invalid comparison parameter', allowed: COMPARISON_TYPES });
+      }
+      previous = { comparison: comparisonType, ...shiftPeriod(current.start_date, current.end_date, comparisonType) };
+    }
+
+    const bandEdges = bands
+      ? bands.split(',').map(edge => edge.trim()).filter(Boolean).map(Number)
+      : DEFAULT_DENOMINATION_BANDS;
+    const invalidEdges = bandEdges.filter(edge => !Number.isInteger(edge) || edge < 0);
+    if (bandEdges.length === 0 || invalidEdges.length > 0 || bandEdges.some((edge, index) => index > 0 && edge <= bandEdges[index - 1])) {
+      return res.status(400).json({ error: 'Invalid bands parameter', expected: 'Ascending non-negative integer lower edges, e.g. 0,50,100,250' });
+    }
+    // The first band always starts at 0 so every denomination falls in a band
+    const bandList = denominationBands([0, ...bandEdges.filter(edge => edge > 0)]);
+    const bandOf = (denom) => bandList.filter(band => denom >= band.min_denom).pop();
+
+    if (!DENOMINATION_SHARE_METRICS.includes(rank_by)) {
+      return res.status(400).json({ error: 'Invalid rank_by parameter', allowed: DENOMINATION_SHARE_METRICS });
+    }
+    const topInt = Math.min(Math.max(parseInt(top) || 10, 1), 100);
+
+    const series = [];
+
+    for (const { table, telco: telcoName, filter, product } of targets) {
+      // Each period is summed on its own - the periods may overlap (days=30 against wow, or an
+      // explicit compare range), and a shared day has to count towards both
+      const periodQuery = (period) => `
+        SELECT
+          '${period}' AS period,
+          denom,
+          ${DENOMINATION_METRICS.map(metric => `${AGGREGATE_METRICS[metric]} AS ${metric}`).join(',\n          ')}
+        FROM ${table} t1
+        WHERE load_date BETWEEN ? AND ?
+        AND loan_type LIKE ?
+        AND ${filter}
+        AND ${latestVersionCondition(table)}
+        GROUP BY denom
+      `;
+      const query = `${periodQuery('current')} UNION ALL ${periodQuery('previous')}`;
+
+      const [rows] = await pool.query(query, [
+        current.start_date, current.end_date, `%${product.loan_type}%`,
+        previous.start_date, previous.end_date, `%${product.loan_type}%`
+      ]);
+
+      const totals = { current: emptyDenominationTotals(), previous: emptyDenominationTotals() };
+      const byBand = new Map(bandList.map(band => [band.band, { current: emptyDenominationTotals(), previous: emptyDenominationTotals() }]));
+      const byDenom = new Map();
+
+      rows.forEach(row => {
+        const denom = parseInt(row.denom) || 0;
+        const band = bandOf(denom);
+        if (!byDenom.has(denom)) {
+          byDenom.set(denom, { band: band.band, current: emptyDenominationTotals(), previous: emptyDenominationTotals() });
+        }
+        DENOMINATION_METRICS.forEach(metric => {
+          const value = parseFloat(row[metric]) || 0;
+          totals[row.period][metric] += value;
+          byBand.get(band.band)[row.period][metric] += value;
+          byDenom.get(denom)[row.period][metric] += value;
+        });
+      });
+
+      const bandRows = bandList.map(band => {
+        const bandTotals = byBand.get(band.band);
+        const currentFigures = denominationFigures(bandTotals.current, totals.current);
+        const previousFigures = denominationFigures(bandTotals.previous, totals.previous);
+        return {
+          ...band,
+          current: currentFigures,
+          previous: previousFigures,
+          mix_shift_pp: mixShift(currentFigures, previousFigures)
+        };
+      });
+
+      const topDenominations = Array.from(byDenom.entries())
+        .filter(([, entry]) => entry.current[rank_by] > 0)
+        .sort(([denomA, a], [denomB, b]) => b.current[rank_by] - a.current[rank_by] || denomA - denomB)
+        .slice(0, topInt)
+        .map(([denom, entry], index) => {
+          const currentFigures = denominationFigures(entry.current, totals.current);
+          const previousFigures = denominationFigures(entry.previous, totals.previous);
+          return {
+            rank: index + 1,
+            denom,
+            band: entry.band,
+            ...currentFigures,
+            [`${rank_by}_change`]: metricDelta(entry.current[rank_by], entry.previous[rank_by]),
+            mix_shift_pp: mixShift(currentFigures, previousFigures)
+          };
+        });
+
+      series.push({
+        telco: telcoName,
+        loan_type: product.loan_type,
+        code: product.code,
+        tenor_days: product.tenor_days ? parseInt(product.tenor_days) : null,
+        current: totals.current,
+        previous: totals.previous,
+        denomination_count: Array.from(byDenom.values()).filter(entry => entry.current.lending_txns > 0).length,
+        bands: bandRows,
+        top_denominations: topDenominations
+      });
+    }
+
+    res.json({
+      series,
+      count: series.length,
+      current,
+      previous,
+      rank_by,
+      filters: {
+        loan_type,
+        telco,
+        days: daysInt,
+        start_date,
+        end_date,
+        comparison,
+        compare_start_date,
+        compare_end_date,
+        bands: bandEdges,
+        top: topInt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Denomination mix query failed', { error });
+    res.status(500).json({ error: 'Denomination mix query failed', details: error.message });
+  }
+});
+
+// Engagement funnel per telco and tenor: penetration (actives / qualified base) and lending
+// transactions per active for the daily, WTD, MTD and YTD windows, with their trend over time
+app.get('/api/loan-data/funnel', requireRole('analyst'), validate({
+  summary: 'Penetration and transactions per active for the daily, WTD, MTD and YTD windows',
+  tags: ['Loan analytics'],
+  query: {
+    loan_type: param.productCode(),
+    telco: TELCO_PARAM,
+    days: daysParam(30),
+    ...DATE_RANGE_PARAMS,
+    granularity: GRANULARITY_PARAM('day')
+  },
+  ranges: DATE_RANGES
+}), queryCache.middleware('loan'), async (req, res) => {
+  try {
+    const {
+      loan_type,
+      telco = 'both',
+      days = '30',
+      start_date,
+      end_date,
+      granularity = 'day'
+    } = req.query;
+
+    const bucketGranularity = granularity.toLowerCase();
+    if (!GRANULARITY_BUCKETS[bucketGranularity]) {
+      return res.status(400).json({ error: 'Invalid granularity parameter', allowed: Object.keys(GRANULARITY_BUCKETS) });
+    }
+
+    const telcos = resolveTelcos(telco, req.auth.telcos);
+    if (telcos.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    const targets = resolveLoanTables(telco, req.auth.telcos).flatMap((table, index) => telcos[index].products
+      .filter(product => !loan_type || product.code === String(loan_type))
+      .map(product => ({ ...table, product })));
+
+    if (targets.length === 0) {
+      return res.status(400).json({ error: 'Invalid loan type', allowed: productCodes() });
+    }
+
+    const daysInt = parseInt(days) || 30;
+    const startDate = start_date && end_date ? start_date : moment().subtract(daysInt, 'days').format('YYYY-MM-DD');
+    const endDate = start_date && end_date ? end_date : moment().format('YYYY-MM-DD');
+    if (!moment(startDate, 'YYYY-MM-DD', true).isValid() || !moment(endDate, 'YYYY-MM-DD', true).isValid() || startDate > endDate) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    // YTD transactions per active needs lending from January 1st of the first requested year
+    const fetchStart = funnelWindowStart(startDate, 'ytd');
+
+    const series = [];
+
+    for (const { table, telco: telcoName, filter, product } of targets) {
+      // Base and actives figures are product-level and repeat on every denomination row of a
+      // day, so they are taken once per day (MAX) while transactions are summed
+      const query = `
+        SELECT
+          DATE(load_date) AS load_date,
+          MAX(qualified_base) AS qualified_base,
+          ${Object.values(FUNNEL_WINDOWS).map(column => `MAX(${column}) AS ${column}`).join(',\n          ')},
+          ${AGGREGATE_METRICS.lending_txns} AS lending_txns
+        FROM ${table} t1
+        WHERE load_date BETWEEN ? AND ?
+        AND loan_type LIKE ?
+        AND ${filter}
+        AND ${latestVersionCondition(table)}
+        GROUP BY DATE(load_date)
+        ORDER BY load_date
+      `;
+
+      const [rows] = await pool.query(query, [fetchStart, endDate, `%${product.loan_type}%`]);
+
+      // Running lending_txns per window, reset whenever a day starts a new week/month/year
+      const running = {};
+      const funnels = rows.map(row => {
+        const day = {
+          date: moment(row.load_date).format('YYYY-MM-DD'),
+          qualified_base: parseInt(row.qualified_base) || 0,
+          lending_txns: parseFloat(row.lending_txns) || 0
+        };
+        Object.values(FUNNEL_WINDOWS).forEach(column => { day[column] = parseFloat(row[column]) || 0; });
+
+        const windowTxns = {};
+        Object.keys(FUNNEL_WINDOWS).forEach(window => {
+          const windowStart = funnelWindowStart(day.date, window);
+          if (!running[window] || running[window].start !== windowStart) running[window] = { start: windowStart, total: 0 };
+          running[window].total += day.lending_txns;
+          windowTxns[window] = running[window].total;
+        });
+        return engagementFunnel(day, windowTxns);
+      }).filter(funnel => funnel.date >= startDate);
+
+      // Each point is the funnel as of the bucket's last loaded day plus the bucket's daily averages
+      const buckets = new Map();
+      funnels.forEach(funnel => {
+        const periodStart = bucketStart(funnel.date, bucketGranularity);
+        if (!buckets.has(periodStart)) buckets.set(periodStart, []);
+        buckets.get(periodStart).push(funnel);
+      });
+
+      const average = (values) => {
+        const present = values.filter(value => value !== null);
+        return present.length > 0 ? Math.round((present.reduce((sum, value) => sum + value, 0) / present.length) * 100) / 100 : null;
+      };
+
+      const trend = Array.from(buckets.entries()).map(([periodStart, bucketFunnels]) => {
+        const { date, ...asOf } = bucketFunnels[bucketFunnels.length - 1];
+        const periodEnd = bucketEnd(periodStart, bucketGranularity);
+        return {
+          period_start: periodStart < startDate ? startDate : periodStart,
+          period_end: periodEnd > endDate ? endDate : periodEnd,
+          as_of: date,
+          days_loaded: bucketFunnels.length,
+          ...asOf,
+          avg_daily_penetration_pct: average(bucketFunnels.map(funnel => funnel.penetration_pct.daily)),
+          avg_daily_txns_per_active: average(bucketFunnels.map(funnel => funnel.txns_per_active.daily))
+        };
+      });
+
+      series.push({
+        telco: telcoName,
+        loan_type: product.loan_type,
+        code: product.code,
+        tenor_days: product.tenor_days ? parseInt(product.tenor_days) : null,
+        latest: funnels.length > 0 ? funnels[funnels.length - 1] : null,
+        change: trend.length > 1 ? funnelChange(trend[0], trend[trend.length - 1]) : null,
+        trend
+      });
+    }
+
+    res.json({
+      series,
+      count: series.length,
+      granularity: bucketGranularity,
+      start_date: startDate,
+      end_date: endDate,
+      filters: {
+        loan_type,
+        telco,
+        days: daysInt,
+        start_date,
+        end_date
+      }
+    });
+
+  } catch (error) {
+    logger.error('Engagement funnel query failed', { error });
+    res.status(500).json({ error: 'Engagement funnel query failed', details: error.message });
+  }
+});
+
+// Get aggregated loan data summary - registered before /:loanType, which would otherwise match it
+app.get('/api/loan-data/summary', validate({
+  summary: 'Loan totals per telco and loan type',
+  tags: ['Loan data'],
+  query: {
+    telco: TELCO_PARAM,
+    days: daysParam(30),
+    currency: CURRENCY_PARAM,
+    format: FORMAT_PARAM
+  },
+  errors: [422]
+}), queryCache.middleware('loan'), async (req, res) => {
+  try {
+    const { telco = 'both', days = '30' } = req.query;
+
+    const { currency, error: currencyError } = requestedCurrency(req);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
+    const { format, error: formatError } = requestedFormat(req);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+
+    const tables = resolveLoanTables(telco, req.auth.telcos);
+    if (tables.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    let allSummaries = [];
+    const missingRates = [];
+
+    for (const { table, telco: telcoName, currency: localCurrency, filter } of tables) {
+      // Summed per day so each day can be converted at its own FX rate before rolling up
+      const query = `
+        SELECT 
+          DATE(load_date) as load_date,
+          loan_type,
+          COUNT(*) as record_count,
+          SUM(gross_lent) as total_gross_lent,
+          SUM(sfee_lent) as total_sfee_lent,
+          SUM(principal_recovered) as total_principal_recovered,
+          SUM(sfee_recovered) as total_service_fee_recovered,
+          SUM(late_fees_recovered) as total_late_fees_recovered,
+          ${AGGREGATE_METRICS.gross_recovered} as total_gross_recovered,
+          SUM(lending_txns) as total_lending_transactions,
+          SUM(recovery_txns) as total_recovery_transactions,
+          AVG(qualified_base) as avg_qualified_base,
+          MAX(load_date) as latest_date,
+          telco
+        FROM ${table} t1
+        WHERE load_date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+        AND ${filter}
+        AND ${latestVersionCondition(table)}
+        GROUP BY DATE(load_date), loan_type, telco
+      `;
+
+      const [rows] = await pool.query(query, [parseInt(days)]);
+
+      const dailyRows = rows.map(row => ({
+        ...row,
+        load_date: moment(row.load_date).format('YYYY-MM-DD'),
+        record_count: parseInt(row.record_count) || 0,
+        ...SUMMARY_MONEY_FIELDS.reduce((fields, field) => ({ ...fields, [field]: parseFloat(row[field]) || 0 }), {}),
+        total_lending_transactions: parseFloat(row.total_lending_transactions) || 0,
+        total_recovery_transactions: parseFloat(row.total_recovery_transactions) || 0,
+        avg_qualified_base: parseFloat(row.avg_qualified_base) || 0
+      }));
+
+      const { rows: convertedRows, missing } = await applyCurrency(dailyRows, {
+        fields: SUMMARY_MONEY_FIELDS, dateField: 'load_date', telco: telcoName, from: localCurrency, to: currency
+      });
+      if (missing) missingRates.push(missing);
+
+      // Roll the days back up to one summary per loan_type/telco
+      const groups = new Map();
+      convertedRows.forEach(row => {
+        const key = `${row.loan_type}|${row.telco}`;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            loan_type: row.loan_type,
+            telco: row.telco,
+            record_count: 0,
+            ...SUMMARY_MONEY_FIELDS.reduce((fields, field) => ({ ...fields, [field]: 0 }), {}),
+            total_lending_transactions: 0,
+            total_recovery_transactions: 0,
+            qualified_base_sum: 0,
+            latest_date: row.load_date,
+            currency: row.currency
+          });
+        }
+
+        const group = groups.get(key);
+        group.record_count += row.record_count;
+        SUMMARY_MONEY_FIELDS.forEach(field => { group[field] += row[field]; });
+        group.total_lending_transactions += row.total_lending_transactions;
+        group.total_recovery_transactions += row.total_recovery_transactions;
+        group.qualified_base_sum += row.avg_qualified_base * row.record_count;
+        if (row.load_date > group.latest_date) group.latest_date = row.load_date;
+      });
+
+      const formattedSummaries = Array.from(groups.values()).map(group => {
+        const { qualified_base_sum, ...totals } = group;
+        const summary = {
+          ...totals,
+          ...SUMMARY_MONEY_FIELDS.reduce((fields, field) => ({ ...fields, [field]: Math.round(group[field] * 100) / 100 }), {}),
+          avg_qualified_base: group.record_count > 0 ? qualified_base_sum / group.record_count : 0
+        };
+
+        summary.kpis = computeKpis({
+          gross_lent: summary.total_gross_lent,
+          sfee_lent: summary.total_sfee_lent,
+          principal_lent: summary.total_gross_lent - summary.total_sfee_lent,
+          gross_recovered: summary.total_gross_recovered,
+          principal_recovered: summary.total_principal_recovered,
+          late_fees_recovered: summary.total_late_fees_recovered,
+          lending_txns: summary.total_lending_transactions,
+          recovery_txns: summary.total_recovery_transactions
+        });
+        return summary;
+      });
+
+      formattedSummaries.sort((a, b) => (a.loan_type < b.loan_type ? -1 : a.loan_type > b.loan_type ? 1 : 0));
+      allSummaries = allSummaries.concat(formattedSummaries);
+    }
+
+    if (missingRates.length > 0) {
+      return fxRateUnavailable(res, currency, missingRates);
+    }
+
+    if (format) {
+      return await sendExport(res, {
+        format,
+        columns: SUMMARY_EXPORT_COLUMNS,
+        filename: exportFilename('loan-summary', [telco, `last-${parseInt(days) || 30}-days`, currency], format),
+        sheetName: 'Summary'
+      }, allSummaries);
+    }
+
+    res.json({
+      summary: allSummaries,
+      currency,
+      filters: { telco, days: parseInt(days), currency }
+    });
+
+  } catch (error) {
+    logger.error('Summary query failed', { error });
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Summary query failed', details: error.message });
+  }
+});
+
+// Get loan data by specific loan type (for individual dashboard pages)
+app.get('/api/loan-data/:loanType', validate({
+  summary: 'Loan rows of one product',
+  tags: ['Loan data'],
+  params: { loanType: param.productCode() },
+  query: {
+    telco: TELCO_PARAM,
+    days: daysParam(7),
+    ...DATE_RANGE_PARAMS,
+    limit: param.integer({ min: 1, max: MAX_PAGE_SIZE, default: 500 }),
+    currency: CURRENCY_PARAM,
+    format: FORMAT_PARAM
+  },
+  ranges: DATE_RANGES,
+  errors: [422]
+}), queryCache.middleware('loan'), async (req, res) => {
+  try {
+    const { loanType } = req.params;
+    const { 
+      telco = 'both', 
+      days = '7', // Reduce default for better performance
+      start_date, 
+      end_date,
+      limit = '500' // Add limit for specific loan types
+    } = req.query;
+
+    const { currency, error: currencyError } = requestedCurrency(req);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
+    const { format, error: formatError } = requestedFormat(req);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+
+    const telcos = resolveTelcos(telco, req.auth.telcos);
+    if (telcos.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    // Map loan type code to each telco's database format, skipping telcos without the product
+    const tables = resolveLoanTables(telco, req.auth.telcos)
+      .map((table, index) => ({ ...table, product: findProduct(telcos[index], loanType) }))
+      .filter(table => table.product);
+
+    if (tables.length === 0) {
+      return res.status(400).json({ error: 'Invalid loan type', allowed: productCodes() });
+    }
+    const dbLoanType = tables[0].product.loan_type;
+
+    let allResults = [];
+
+    // Build WHERE conditions for date filtering
+    const whereConditions = [];
+    const params = [];
+
+    // Date filtering - use load_date
+    if (start_date && end_date) {
+      whereConditions.push('load_date BETWEEN ? AND ?');
+      params.push(start_date, end_date);
+    } else {
+      const daysInt = parseInt(days) || 7;
+      whereConditions.push('load_date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)');
+      params.push(daysInt);
+    }
+
+    if (format) {
+      return await streamLoanExport(res, {
+        format,
+        currency,
+        filename: exportFilename('loan-data', [telco, dbLoanType, rangeLabel(req.query, 7), currency], format),
+        sources: tables.map(source => ({
+          ...source,
+          whereClause: ['loan_type LIKE ?', ...whereConditions, source.filter].join(' AND '),
+          params: [`%${source.product.loan_type}%`, ...params]
+        })),
+        limit: req.query.limit ? parseInt(limit) : null
+      });
+    }
+
+    const missingRates = [];
+
+    for (const { table, telco: telcoName, currency: localCurrency, filter, product } of tables) {
+      const whereClause = ['loan_type LIKE ?', ...whereConditions, filter].join(' AND ');
+      const query = `
+        SELECT ${LOAN_SELECT_COLUMNS}
+        FROM ${table} t1
+        WHERE ${whereClause}
+        AND ${latestVersionCondition(table)}
+        ORDER BY load_date DESC
+        LIMIT ?
+      `;
+
+      const queryParams = [`%${product.loan_type}%`, ...params, parseInt(limit)];
+      const [rows] = await pool.query(query, queryParams);
+      const { rows: formattedData, missing } = await applyCurrency(convertToDashboardFormat(rows), {
+        fields: LOAN_MONEY_FIELDS, dateField: 'date', telco: telcoName, from: localCurrency, to: currency
+      });
+      if (missing) missingRates.push(missing);
+      allResults = allResults.concat(formattedData.map(row => ({ ...row, kpis: computeKpis(row) })));
+    }
+
+    if (missingRates.length > 0) {
+      return fxRateUnavailable(res, currency, missingRates);
+    }
+
+    // Sort by date
+    allResults.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    res.json({
+      data: allResults,
+      loan_type: dbLoanType,
+      count: allResults.length,
+      currency,
+      filters: {
+        loan_type: dbLoanType,
+        telco,
+        days: parseInt(days),
+        start_date,
+        end_date,
+        currency
+      }
+    });
+
+  } catch (error) {
+    logger.error('Database query failed', { error });
+    // A failed download can only be cut short once its headers are out
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Database query failed', details: error.message });
+  }
+});
+
+// Get derived KPIs (recovery rate, fee yield, fee mix, average ticket) for any range, overall and per telco
+app.get('/api/kpis', validate({
+  summary: 'Derived KPIs overall and per telco',
+  tags: ['Loan analytics'],
+  query: {
+    telco: TELCO_PARAM,
+    loan_type: LOAN_TYPE_FILTER_PARAM,
+    days: daysParam(30),
+    ...DATE_RANGE_PARAMS
+  },
+  ranges: DATE_RANGES
+}), queryCache.middleware('loan'), async (req, res) => {
+  try {
+    const { telco = 'both', loan_type, days = '30', start_date, end_date } = req.query;
+
+    const tables = resolveLoanTables(telco, req.auth.telcos);
+    if (tables.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    const daysInt = parseInt(days) || 30;
+    const startDate = start_date && end_date ? start_date : moment().subtract(daysInt, 'days').format('YYYY-MM-DD');
+    const endDate = start_date && end_date ? end_date : moment().format('YYYY-MM-DD');
+
+    const overall = KPI_INPUTS.reduce((acc, metric) => ({ ...acc, [metric]: 0 }), { record_count: 0 });
+    const byTelco = [];
 
     for (const table of tables) {
+      const totals = await fetchMetricTotals([table], {
+        startDate,
+        endDate,
+        loanType: loan_type,
+        metricNames: KPI_INPUTS
+      });
+      Object.keys(overall).forEach(metric => { overall[metric] += totals[metric]; });
+      byTelco.push({ telco: table.telco, totals, kpis: computeKpis(totals) });
+    }
+
+    res.json({
+      start_date: startDate,
+      end_date: endDate,
+      overall: { totals: overall, kpis: computeKpis(overall) },
+      by_telco: byTelco,
+      definitions: KPI_DEFINITIONS,
+      filters: { telco, loan_type, days: daysInt, start_date, end_date }
+    });
+
+  } catch (error) {
+    logger.error('KPI query failed', { error });
+    res.status(500).json({ error: 'KPI query failed', details: error.message });
+  }
+});
+
+// Get NPL data - latest snapshot by default, a specific report_date, or a start_date/end_date series
+app.get('/api/npl-data', validate({
+  summary: 'NPL snapshot - the latest, a given report_date or a date range series',
+  tags: ['NPL'],
+  query: {
+    telco: param.telco({ description: 'Telco id or all/both (default airtel, or the key\'s first telco)' }),
+    report_date: param.date(),
+    ...DATE_RANGE_PARAMS,
+    currency: CURRENCY_PARAM,
+    format: FORMAT_PARAM
+  },
+  ranges: DATE_RANGES,
+  errors: [422]
+}), queryCache.middleware('npl'), async (req, res) => {
+  try {
+    const { telco = defaultTelco(req, 'airtel'), report_date, start_date, end_date } = req.query;
+
+    const { format, error: formatError } = requestedFormat(req);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+
+    const nplTelcos = resolveNplTelcos(telco, req.auth.telcos);
+    if (nplTelcos.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter', allowed: resolveNplTelcos('all', req.auth.telcos).map(t => t.id) });
+    }
+
+    const { currency, error: currencyError } = requestedCurrency(req);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
+    let nplData = [];
+    const missingRates = [];
+    for (const nplTelco of nplTelcos) {
+      const snapshots = await fetchNplSnapshots(nplTelco, { report_date, start_date, end_date });
+      const { rows, missing } = await applyCurrency(snapshots, {
+        fields: NPL_MONEY_FIELDS, dateField: 'report_date', telco: nplTelco.name, from: nplTelco.currency, to: currency
+      });
+      if (missing) missingRates.push(missing);
+      nplData = nplData.concat(rows);
+    }
+
+    if (missingRates.length > 0) {
+      return fxRateUnavailable(res, currency, missingRates);
+    }
+
+    if (format) {
+      const nplRange = start_date && end_date ? `${start_date}-to-${end_date}` : report_date || 'latest';
+      return await sendExport(res, {
+        format,
+        columns: NPL_EXPORT_COLUMNS,
+        filename: exportFilename('npl-data', [telco, nplRange, currency], format),
+        sheetName: 'NPL'
+      }, nplData);
+    }
+
+    const response = {
+      npl_data: nplData,
+      report_dates: [...new Set(nplData.map(row => row.report_date))].sort(),
+      currency,
+      filters: { telco, report_date, start_date, end_date, currency },
+      timestamp: new Date().toISOString()
+    };
+
+    // Per-loan_type trend series for date ranges
+    if (start_date && end_date) {
+      response.series = nplData.reduce((series, row) => {
+        if (!series[row.loan_type]) series[row.loan_type] = [];
+        series[row.loan_type].push({
+          telco: row.telco,
+          report_date: row.report_date,
+          total_balance: row.total_balance,
+          within_tenure: row.within_tenure,
+          ...NPL_ARREARS_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket]: row[bucket] }), {}),
+          arrears_percentage: row.arrears_percentage,
+          net_recovered_value: row.net_recovered_value,
+          unrecovered_percentage_net: row.unrecovered_percentage_net,
+          fx_rate: row.fx_rate
+        });
+        return series;
+      }, {});
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    logger.error('NPL query failed', { error });
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'NPL query failed', details: error.message });
+  }
+});
+
+// Get each telco's NPL snapshot side by side per tenor
+app.get('/api/npl-data/comparison', requireRole('analyst'), validate({
+  summary: 'Each telco\'s NPL snapshot side by side per tenor',
+  tags: ['NPL'],
+  query: {
+    telco: param.telco({ default: 'all' }),
+    report_date: param.date()
+  }
+}), queryCache.middleware('npl'), async (req, res) => {
+  try {
+    const { telco = 'all', report_date } = req.query;
+
+    const nplTelcos = resolveNplTelcos(telco, req.auth.telcos);
+    if (nplTelcos.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter', allowed: resolveNplTelcos('all', req.auth.telcos).map(t => t.id) });
+    }
+
+    // loan_type -> telco id -> snapshot figures; each telco uses its own latest snapshot unless report_date is given
+    const byLoanType = {};
+    const reportDates = {};
+
+    for (const nplTelco of nplTelcos) {
+      const rows = await fetchNplSnapshots(nplTelco, { report_date });
+      reportDates[nplTelco.id] = rows.length > 0 ? rows[0].report_date : null;
+
+      rows.forEach(row => {
+        if (!byLoanType[row.loan_type]) byLoanType[row.loan_type] = {};
+        byLoanType[row.loan_type][nplTelco.id] = {
+          report_date: row.report_date,
+          total_balance: row.total_balance,
+          arrears_percentage: row.arrears_percentage,
+          unrecovered_percentage_net: row.unrecovered_percentage_net,
+          net_recovered_value: row.net_recovered_value,
+          // Share of the outstanding balance in each bucket, comparable across book sizes
+          bucket_percentages: ['within_tenure', ...NPL_ARREARS_BUCKETS].reduce((acc, bucket) => ({
+            ...acc,
+            [bucket]: percentageOf(row[bucket], row.total_balance)
+          }), {})
+        };
+      });
+    }
+
+    const order = nplLoanTypeRank();
+    const comparison = Object.keys(byLoanType)
+      .sort((a, b) => order(a) - order(b))
+      .map(loanType => ({ loan_type: loanType, telcos: byLoanType[loanType] }));
+
+    res.json({
+      comparison,
+      report_dates: reportDates,
+      telcos: nplTelcos.map(nplTelco => ({ id: nplTelco.id, name: nplTelco.name })),
+      filters: { telco, report_date },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('NPL comparison query failed', { error });
+    res.status(500).json({ error: 'NPL comparison query failed', details: error.message });
+  }
+});
+
+// Get arrears roll rates between two NPL snapshots plus a flow-rate trend over consecutive report dates.
+// The trend pairs neighbouring report dates, so its rates only mean something where those are a
+// bucket width apart; closer steps carry spans_bucket_width: false.
+app.get('/api/npl-data/roll-rates', requireRole('analyst'), validate({
+  summary: 'Arrears roll rates between two NPL snapshots and their trend',
+  description: `Roll rates are only valid between snapshots at least ${NPL_BUCKET_DAYS} days (one arrears bucket) apart; pairs and trend steps closer than that are flagged with spans_bucket_width: false. Trend steps pair consecutive report dates, so with daily snapshots they are all flagged - compare from_date/to_date pairs instead. cure_rate_pct estimates the share of arrears_30_days that returned to within_tenure: the balance that neither rolled into arrears_31_60_days nor was recovered, with the recoveries between the snapshots taken from the net recovered value and shared across the arrears buckets by balance. It is null when a snapshot has no net recovered value; non_roll_rate_pct (cured or recovered) is always given.`,
+  tags: ['NPL'],
+  query: {
+    telco: param.telco({ single: true, description: 'Telco id (default airtel, or the key\'s first telco)' }),
+    from_date: param.date({ description: `Earlier snapshot (default the latest at least ${NPL_BUCKET_DAYS} days before to_date)` }),
+    to_date: param.date({ description: 'Later snapshot (default the latest)' }),
+    ...DATE_RANGE_PARAMS,
+    periods: param.integer({ min: 1, max: 120, default: 12, description: 'Trend length in report dates when no start_date/end_date is given' }),
+    loan_type: param.string({ description: 'NPL loan type, e.g. "7 Days Loan" or "Grand Total"' })
+  },
+  ranges: DATE_RANGES,
+  errors: [404]
+}), queryCache.middleware('npl'), async (req, res) => {
+  try {
+    const { telco = defaultTelco(req, 'airtel'), from_date, to_date, start_date, end_date, periods = '12', loan_type } = req.query;
+
+    // Roll rates compare snapshots of one book, so exactly one telco is required
+    const nplTelcos = resolveNplTelcos(telco, req.auth.telcos);
+    if (nplTelcos.length !== 1) {
+      return res.status(400).json({ error: 'Invalid telco parameter', allowed: resolveNplTelcos('all', req.auth.telcos).map(t => t.id) });
+    }
+    const [nplTelco] = nplTelcos;
+    const { outstanding, recovered } = nplTelco.npl_tables;
+
+    const [dateRows] = await pool.query(`
+      SELECT DISTINCT DATE(report_date) AS report_date
+      FROM ${outstanding}
+      ORDER BY report_date
+    `);
+    const availableDates = dateRows.map(row => moment(row.report_date).format('YYYY-MM-DD'));
+
+    if (availableDates.length < 2) {
+      return res.status(404).json({ error: 'At least two NPL snapshots are required', report_dates: availableDates });
+    }
+
+    // Snapshot pair - defaults to the latest report date and the latest one a bucket width before it
+    const toDate = to_date || availableDates[availableDates.length - 1];
+    if (!availableDates.includes(toDate)) {
+      return res.status(404).json({ error: 'NPL snapshot not found', report_date: toDate });
+    }
+    const latestFromDate = moment(toDate).subtract(NPL_BUCKET_DAYS, 'days').format('YYYY-MM-DD');
+    const fromDate = from_date || availableDates.filter(date => date <= latestFromDate).pop();
+    if (!fromDate) {
+      return res.status(404).json({
+        error: `No NPL snapshot at least ${NPL_BUCKET_DAYS} days before to_date`,
+        report_date: toDate,
+        earliest_report_date: availableDates[0]
+      });
+    }
+    if (!availableDates.includes(fromDate)) {
+      return res.status(404).json({ error: 'NPL snapshot not found', report_date: fromDate });
+    }
+    if (!moment(fromDate).isBefore(toDate)) {
+      return res.status(400).json({ error: 'from_date must be before to_date' });
+    }
+
+    // Trend dates - a start_date/end_date window, or the latest `periods` report dates
+    const trendDates = start_date && end_date
+      ? availableDates.filter(date => date >= start_date && date <= end_date)
+      : availableDates.slice(-((parseInt(periods) || 12) + 1));
+
+    const snapshotDates = [...new Set([fromDate, toDate, ...trendDates])];
+    const params = [snapshotDates];
+    let loanTypeFilter = '';
+    if (loan_type) {
+      loanTypeFilter = 'AND o.loan_type = ?';
+      params.push(loan_type);
+    }
+
+    // The cumulative net recovered value on each snapshot's own date feeds the cure estimate
+    const [rows] = await pool.query(`
+      SELECT
+        o.loan_type, o.report_date, o.total_balance, o.within_tenure,
+        ${NPL_ARREARS_BUCKETS.map(bucket => `o.${bucket}`).join(', ')},
+        r.total_balance AS net_recovered_value
+      FROM ${outstanding} o
+      LEFT JOIN ${recovered} r
+        ON o.loan_type = r.loan_type
+        AND DATE(o.report_date) = DATE(r.report_date)
+      WHERE DATE(o.report_date) IN (?)
+      ${loanTypeFilter}
+      ORDER BY o.report_date, ${nplLoanTypeOrder('o.loan_type')}
+    `, params);
+
+    // snapshots[loan_type][report_date] = formatted row; a missing recovered row stays null
+    const snapshots = {};
+    rows.map(row => ({
+      ...formatNplRow(row),
+      net_recovered_value: row.net_recovered_value === null ? null : parseFloat(row.net_recovered_value) || 0
+    })).forEach(row => {
+      if (!snapshots[row.loan_type]) snapshots[row.loan_type] = {};
+      snapshots[row.loan_type][row.report_date] = row;
+    });
+
+    const rollRates = [];
+    const trend = {};
+    Object.keys(snapshots).forEach(loanType => {
+      const byDate = snapshots[loanType];
+
+      if (byDate[fromDate] && byDate[toDate]) {
+        rollRates.push({
+          loan_type: loanType,
+          ...nplMigration(byDate[fromDate], byDate[toDate])
+        });
+      }
+
+      trend[loanType] = [];
+      for (let i = 1; i < trendDates.length; i++) {
+        const previous = byDate[trendDates[i - 1]];
+        const current = byDate[trendDates[i]];
+        if (!previous || !current) continue;
+
+        const { migrations, cure, days_between, spans_bucket_width } = nplMigration(previous, current);
+        trend[loanType].push({
+          from_date: previous.report_date,
+          to_date: current.report_date,
+          days_between,
+          spans_bucket_width,
+          flow_rates: migrations.reduce((acc, step) => ({ ...acc, [`${step.from_bucket}->${step.to_bucket}`]: step.roll_rate_pct }), {}),
+          cure_rate_pct: cure.cure_rate_pct,
+          non_roll_rate_pct: cure.non_roll_rate_pct
+        });
+      }
+    });
+
+    res.json({
+      telco: nplTelco.name,
+      from_date: fromDate,
+      to_date: toDate,
+      roll_rates: rollRates,
+      trend,
+      filters: { telco, from_date, to_date, start_date, end_date, periods: parseInt(periods), loan_type },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Roll rate query failed', { error });
+    res.status(500).json({ error: 'Roll rate query failed', details: error.message });
+  }
+});
+
+// Get latest data processing status
+app.get('/api/status', validate({
+  summary: 'Latest load date and row count per loan table',
+  tags: ['Status']
+}), async (req, res) => {
+  try {
+    // Check latest data in every registered loan table
+    const dataStatus = {};
+
+    for (const telco of resolveTelcos('all', req.auth.telcos)) {
       const query = `
         SELECT 
-          load_date, loan_type, denom, gross_lent, sfee_lent, lending_txns,
-          late_fees_charged, principal_recovered, sfee_recovered, 
-          late_fees_recovered, recovery_txns, interest_fees_charged,
-          interest_fees_recovered, setup_fees_charged, setup_fees_recovered,
-          daily_fees_charged, daily_fees_recovered, country, telco,
-          qualified_base, overall_actives_daily, overall_actives_wtd,
-          overall_actives_mtd, overall_actives_ytd, processed_at, file_source
+          MAX(load_date) as latest_date,
+          COUNT(*) as total_records
+        FROM ${telco.loan_table}
+      `;
+
+      const [result] = await pool.query(query);
+      dataStatus[telco.id] = {
+        latest_date: result[0].latest_date ? moment(result[0].latest_date).format('YYYY-MM-DD') : null,
+        total_records: result[0].total_records
+      };
+    }
+
+    res.json({
+      status: 'active',
+      data_status: dataStatus,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Status query failed', { error });
+    res.status(500).json({ error: 'Status query failed', details: error.message });
+  }
+});
+
+// Server-sent events announcing new load_dates, processed_at versions and NPL report_dates.
+// Sends a `snapshot` of every table on connect, then `loan-data` / `npl-data` events; clients
+// reconnecting with Last-Event-ID first receive the retained events they missed.
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 25000;
+
+// Open event streams, ended on shutdown since they would otherwise never finish draining
+const eventStreams = new Set();
+
+app.get('/api/events', validate({
+  summary: 'Server-sent events for new loan and NPL data',
+  description: 'EventSource clients may pass the key as ?api_key= instead of a header.',
+  tags: ['Status'],
+  produces: ['text/event-stream']
+}), async (req, res) => {
+  const scope = req.auth.telcos;
+  const inScope = (entry) => !scope || scope.includes(entry.telco);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data, id) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const sendDataEvent = (event) => {
+    if (inScope(event)) send(`${event.type}-data`, event, event.id);
+  };
+
+  // Listening for the disconnect before the first await, so a client that leaves while the
+  // watcher is still checking never gets subscribed
+  let closed = false;
+  let unsubscribe = null;
+  let heartbeat = null;
+  req.on('close', () => {
+    closed = true;
+    if (!unsubscribe) return;
+    clearInterval(heartbeat);
+    unsubscribe();
+    eventStreams.delete(res);
+    logger.info('Event stream closed', { user: req.auth.name, connected: dataWatcher.subscriberCount() });
+  });
+
+  try {
+    if (dataWatcher.snapshot().length === 0) await dataWatcher.check();
+  } catch (error) {
+    logger.error('Data watcher check failed', { error });
+  }
+  if (closed) return;
+  send('snapshot', { tables: dataWatcher.snapshot().filter(inScope), timestamp: new Date().toISOString() });
+
+  const lastEventId = parseInt(req.get('last-event-id'));
+  if (!Number.isNaN(lastEventId)) dataWatcher.eventsSince(lastEventId).forEach(sendDataEvent);
+
+  unsubscribe = dataWatcher.subscribe(sendDataEvent);
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  eventStreams.add(res);
+  logger.info('Event stream opened', { user: req.auth.name, connected: dataWatcher.subscriberCount() });
+});
+
+// Get data completeness, freshness and plausibility issues across the loan and NPL tables
+app.get('/api/data-quality', requireRole('analyst'), validate({
+  summary: 'Completeness, freshness and plausibility issues across the loan and NPL tables',
+  tags: ['Loan data quality'],
+  query: {
+    telco: TELCO_PARAM,
+    days: daysParam(30),
+    outlier_pct: param.number({ min: 0, default: 50, description: 'Day-on-day change (%) reported as an outlier' })
+  }
+}), async (req, res) => {
+  try {
+    const { telco = 'both', days = '30', outlier_pct = '50' } = req.query;
+
+    const telcos = resolveTelcos(telco, req.auth.telcos);
+    if (telcos.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    const daysInt = parseInt(days) || 30;
+    // 0 is a valid threshold (flag every change), so only a missing value falls back to 50
+    const parsedOutlierPct = parseFloat(outlier_pct);
+    const outlierPct = Number.isFinite(parsedOutlierPct) ? parsedOutlierPct : 50;
+    const issues = [];
+
+    for (const telcoConfig of telcos) {
+      const [{ table, telco: telcoName, filter }] = resolveLoanTables(telcoConfig.id);
+      const issue = (check, severity, message, details = {}) => issues.push({ check, severity, telco: telcoName, message, ...details });
+
+      const [[{ latest_date: latestDate }]] = await pool.query(`SELECT MAX(load_date) AS latest_date FROM ${table} WHERE ${filter}`);
+      if (!latestDate) {
+        issue('freshness', 'high', `${table} has no data`, { table });
+        continue;
+      }
+      const latest = moment(latestDate).format('YYYY-MM-DD');
+
+      // Loan table freshness - yesterday's file is expected by today
+      const loanLag = moment().startOf('day').diff(moment(latest), 'days');
+      if (loanLag > 1) {
+        issue('freshness', loanLag > 3 ? 'high' : 'medium', `Latest load_date ${latest} is ${loanLag} days old`, { table, date: latest, lag_days: loanLag });
+      }
+
+      // Gaps - every loan_type/denom seen in the window should appear on every day up to the latest load
+      const [presence] = await pool.query(`
+        SELECT DISTINCT DATE(load_date) AS load_date, loan_type, denom
+        FROM ${table}
+        WHERE ${filter}
+        AND load_date >= DATE_SUB(?, INTERVAL ? DAY)
+      `, [latest, daysInt]);
+
+      const seenDates = new Map();
+      presence.forEach(row => {
+        const key = `${row.loan_type}|${row.denom}`;
+        if (!seenDates.has(key)) seenDates.set(key, { loan_type: row.loan_type, denom: parseInt(row.denom) || 0, dates: new Set() });
+        seenDates.get(key).dates.add(moment(row.load_date).format('YYYY-MM-DD'));
+      });
+
+      seenDates.forEach(({ loan_type: loanType, denom, dates }) => {
+        const first = [...dates].sort()[0];
+        const missing = [];
+        for (let day = moment(first); !day.isAfter(latest); day.add(1, 'days')) {
+          if (!dates.has(day.format('YYYY-MM-DD'))) missing.push(day.format('YYYY-MM-DD'));
+        }
+        if (missing.length > 0) {
+          const missingLatest = missing.includes(latest);
+          issue('gap', missingLatest ? 'high' : 'medium',
+            `${loanType} denom ${denom} missing ${missing.length} day(s)${missingLatest ? ', including the latest load' : ''}`,
+            { table, loan_type: loanType, denom, missing_dates: missing });
+        }
+      });
+
+      // Zero and negative values in the served (latest) version of each row
+      const [suspectRows] = await pool.query(`
+        SELECT load_date, loan_type, denom, ${RESTATEMENT_FIELDS.join(', ')}
         FROM ${table} t1
-        WHERE ${whereClause}
-        AND t1.processed_at = (
-          SELECT MAX(t2.processed_at) 
-          FROM ${table} t2 
-          WHERE t2.load_date = t1.load_date 
-          AND t2.loan_type = t1.loan_type 
-          AND t2.denom = t1.denom
-        )
-        ORDER BY load_date DESC
-        LIMIT ?
-      `;
+        WHERE ${filter}
+        AND load_date >= DATE_SUB(?, INTERVAL ? DAY)
+        AND ${latestVersionCondition(table)}
+        AND (${[...RESTATEMENT_FIELDS.map(field => `${field} < 0`), 'gross_lent = 0', 'lending_txns = 0'].join(' OR ')})
+        ORDER BY load_date DESC, loan_type, denom
+      `, [latest, daysInt]);
 
-      const queryParams = [...params, parseInt(limit)];
-      console.log('🔍 SQL Query:', query.replace(/\s+/g, ' ').trim());
-      console.log('🔍 Query Params:', queryParams);
-      console.log('🔍 Parameter types:', queryParams.map(p => typeof p));
-      console.log('🔍 Parameter values:', queryParams.map(p => JSON.stringify(p)));
-      const [rows] = await pool.query(query, queryParams);
-      const formattedData = convertToDashboardFormat(rows);
-      allResults = allResults.concat(formattedData);
+      suspectRows.forEach(row => {
+        const date = moment(row.load_date).format('YYYY-MM-DD');
+        const negative = RESTATEMENT_FIELDS.filter(field => parseFloat(row[field]) < 0);
+        const details = { table, date, loan_type: row.loan_type, denom: parseInt(row.denom) || 0 };
+        if (negative.length > 0) {
+          issue('negative_value', 'high', `Negative ${negative.join(', ')} on ${date}`, { ...details, fields: negative });
+        } else {
+          const zero = ['gross_lent', 'lending_txns'].filter(field => parseFloat(row[field]) === 0);
+          issue('zero_value', 'low', `Zero ${zero.join(', ')} on ${date}`, { ...details, fields: zero });
+        }
+      });
+
+      // Day-over-day outliers in daily totals per loan_type
+      const [dailyTotals] = await pool.query(`
+        SELECT DATE(load_date) AS load_date, loan_type,
+          ${DATA_QUALITY_OUTLIER_METRICS.map(metric => `${AGGREGATE_METRICS[metric]} AS ${metric}`).join(', ')}
+        FROM ${table} t1
+        WHERE ${filter}
+        AND load_date >= DATE_SUB(?, INTERVAL ? DAY)
+        AND ${latestVersionCondition(table)}
+        GROUP BY DATE(load_date), loan_type
+        ORDER BY loan_type, load_date
+      `, [latest, daysInt]);
+
+      for (let i = 1; i < dailyTotals.length; i++) {
+        const previous = dailyTotals[i - 1];
+        const current = dailyTotals[i];
+        if (previous.loan_type !== current.loan_type) continue;
+        if (moment(current.load_date).diff(moment(previous.load_date), 'days') !== 1) continue;
+
+        DATA_QUALITY_OUTLIER_METRICS.forEach(metric => {
+          const delta = metricDelta(parseFloat(current[metric]) || 0, parseFloat(previous[metric]) || 0);
+          if (delta.change_pct === null || Math.abs(delta.change_pct) <= outlierPct) return;
+          const date = moment(current.load_date).format('YYYY-MM-DD');
+          issue('day_over_day_outlier', Math.abs(delta.change_pct) > outlierPct * 2 ? 'high' : 'medium',
+            `${current.loan_type} ${metric} moved ${delta.change_pct}% on ${date}`,
+            { table, date, loan_type: current.loan_type, metric, ...delta });
+        });
+      }
+
+      // NPL staleness relative to the loan table, and between the NPL tables themselves
+      if (telcoConfig.npl_tables) {
+        for (const [kind, nplTable] of Object.entries(telcoConfig.npl_tables)) {
+          const [[{ latest_date: nplLatest }]] = await pool.query(`SELECT MAX(report_date) AS latest_date FROM ${nplTable}`);
+          if (!nplLatest) {
+            issue('npl_staleness', 'high', `${nplTable} has no data`, { table: nplTable, npl_table: kind });
+            continue;
+          }
+          const nplDate = moment(nplLatest).format('YYYY-MM-DD');
+          const lag = moment(latest).diff(moment(nplDate), 'days');
+          // The unrecovered table routinely trails the others by a day
+          const tolerated = kind === 'unrecovered' ? 1 : 0;
+          if (lag > tolerated) {
+            issue('npl_staleness', lag > 3 ? 'high' : lag > 1 ? 'medium' : 'low',
+              `${nplTable} latest report_date ${nplDate} is ${lag} day(s) behind loan data`,
+              { table: nplTable, npl_table: kind, date: nplDate, loan_latest_date: latest, lag_days: lag });
+          }
+        }
+      }
     }
 
-    // Sort by date
-    allResults.sort((a, b) => new Date(b.date) - new Date(a.date));
+    const severityRank = { high: 0, medium: 1, low: 2 };
+    issues.sort((a, b) => severityRank[a.severity] - severityRank[b.severity]);
 
     res.json({
-      data: allResults,
-      loan_type: dbLoanType,
-      count: allResults.length,
-      filters: {
-        loan_type: dbLoanType,
-        telco,
-        days: parseInt(days),
-        start_date,
-        end_date
+      issues,
+      summary: {
+        total: issues.length,
+        high: issues.filter(issue => issue.severity === 'high').length,
+        medium: issues.filter(issue => issue.severity === 'medium').length,
+        low: issues.filter(issue => issue.severity === 'low').length
+      },
+      filters: { telco, days: daysInt, outlier_pct: outlierPct },
+      checked_at: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Data quality check failed', { error });
+    res.status(500).json({ error: 'Data quality check failed', details: error.message });
+  }
+});
+
+// Get the registered telcos and their product catalogues
+app.get('/api/registry', validate({
+  summary: 'Registered telcos and their product catalogues',
+  tags: ['Status']
+}), (req, res) => {
+  res.json({
+    telcos: resolveTelcos('all', req.auth.telcos).map(telco => ({
+      id: telco.id,
+      name: telco.name,
+      country: telco.country || '',
+      currency: telco.currency,
+      loan_table: telco.loan_table,
+      npl_tables: telco.npl_tables,
+      products: telco.products
+    }))
+  });
+});
+
+// Upload a daily CSV extract for a telco as a new processed_at version (?file_name=..., ?dry_run=true)
+app.post(
+  '/api/ingest/:telco',
+  requireRole('admin'),
+  validate({
+    summary: 'Upload a daily CSV extract as a new processed_at version',
+    tags: ['Ingestion'],
+    params: { telco: param.telco({ single: true }) },
+    query: {
+      file_name: param.string({ required: true, description: 'Name of the uploaded file, recorded with the ingestion' }),
+      dry_run: param.boolean({ default: false, description: 'Validate only, without writing rows' })
+    },
+    body: { contentType: 'text/csv', description: 'The extract, with the loan table\'s columns as its header', schema: { type: 'string' } },
+    status: 201,
+    errors: [409, 422]
+  }),
+  express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: process.env.INGEST_MAX_SIZE || '20mb' }),
+  async (req, res) => {
+    try {
+      const { file_name, dry_run } = req.query;
+      const dryRun = dry_run === 'true';
+
+      const [telco] = resolveTelcos(req.params.telco, req.auth.telcos);
+      if (!telco || resolveTelcos(req.params.telco).length !== 1) {
+        return res.status(400).json({ error: 'Invalid telco parameter' });
+      }
+      if (!file_name) {
+        return res.status(400).json({ error: 'file_name query parameter is required' });
+      }
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json({ error: 'Request body must be the CSV file (Content-Type: text/csv)' });
+      }
+
+      const fileHash = hashFile(req.body);
+      const [existing] = await pool.query(
+        'SELECT id, file_name, processed_at, created_at FROM file_ingestions WHERE file_hash = ?',
+        [fileHash]
+      );
+      if (existing.length > 0) {
+        return res.status(409).json({
+          error: 'File already ingested',
+          file_hash: fileHash,
+          ingestion: {
+            ...existing[0],
+            processed_at: moment(existing[0].processed_at).format('YYYY-MM-DD HH:mm:ss')
+          }
+        });
+      }
+
+      const records = parseCsv(req.body);
+      const { headerErrors, rows, rejected } = validateExtract(records, telco);
+      if (headerErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid file header', code: 'VALIDATION_ERROR', details: headerErrors });
+      }
+
+      const report = {
+        telco: telco.name,
+        loan_table: telco.loan_table,
+        file_name,
+        file_hash: fileHash,
+        dry_run: dryRun,
+        rows_total: rows.length + rejected.length,
+        rows_accepted: rows.length,
+        rows_rejected: rejected.length,
+        load_dates: [...new Set(rows.map(row => row.load_date))].sort(),
+        rejected: rejected.slice(0, MAX_REPORTED_REJECTIONS),
+        rejected_truncated: rejected.length > MAX_REPORTED_REJECTIONS
+      };
+
+      if (rows.length === 0) {
+        return res.status(422).json({ error: 'No valid rows in file', ...report });
+      }
+
+      if (dryRun) {
+        return res.json(report);
+      }
+
+      const { ingestionId, processedAt } = await insertExtract(pool, telco, {
+        rows,
+        rejected,
+        fileName: file_name,
+        fileHash,
+        uploadedBy: req.auth.name
+      });
+
+      // New data supersedes cached loan responses straight away rather than after the freshness TTL -
+      // every loan-backed route, including /api/kpis and /api/targets/attainment
+      queryCache.purgeKind('loan');
+      alertEngine.evaluateAll('ingestion').catch(error => logger.error('Post-ingestion alert evaluation failed', { error }));
+      dataWatcher.check().catch(error => logger.error('Post-ingestion data event check failed', { error }));
+      logger.info('Extract ingested', { file_name, table: telco.loan_table, rows: rows.length, rejected: rejected.length });
+
+      res.status(201).json({
+        ingestion_id: ingestionId,
+        processed_at: processedAt,
+        ...report
+      });
+
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'File already ingested' });
       }
+      logger.error('Ingestion failed', { error });
+      res.status(500).json({ error: 'Ingestion failed', details: error.message });
+    }
+  }
+);
+
+// Get recent file ingestions
+app.get('/api/ingestions', requireRole('analyst'), validate({
+  summary: 'Recent file ingestions',
+  tags: ['Ingestion'],
+  query: { limit: param.integer({ min: 1, max: 500, default: 50 }) }
+}), async (req, res) => {
+  try {
+    const { limit = '50' } = req.query;
+    const telcoIds = resolveTelcos('all', req.auth.telcos).map(telco => telco.id);
+
+    const [rows] = await pool.query(
+      `SELECT id, telco, loan_table, file_name, file_hash, processed_at, rows_total, rows_inserted,
+              rows_rejected, min_load_date, max_load_date, uploaded_by, created_at
+       FROM file_ingestions
+       WHERE telco IN (?)
+       ORDER BY created_at DESC
+       LIMIT ?`,
+      [telcoIds, parseInt(limit) || 50]
+    );
+
+    res.json({
+      ingestions: rows.map(row => ({
+        ...row,
+        processed_at: moment(row.processed_at).format('YYYY-MM-DD HH:mm:ss'),
+        min_load_date: row.min_load_date ? moment(row.min_load_date).format('YYYY-MM-DD') : null,
+        max_load_date: row.max_load_date ? moment(row.max_load_date).format('YYYY-MM-DD') : null
+      })),
+      count: rows.length
     });
 
   } catch (error) {
-    console.error('Database query failed:', error);
-    res.status(500).json({ error: 'Database query failed', details: error.message });
+    logger.error('Ingestion history query failed', { error });
+    res.status(500).json({ error: 'Ingestion history query failed', details: error.message });
   }
 });
 
-// Get aggregated loan data summary
-app.get('/api/loan-data/summary', async (req, res) => {
+// Get alert rules with their current state
+app.get('/api/alerts/rules', requireRole('analyst'), validate({
+  summary: 'Alert rules with their current state',
+  tags: ['Alerts']
+}), async (req, res) => {
   try {
-    const { telco = 'both', days = '30' } = req.query;
+    const telcoIds = resolveTelcos('all', req.auth.telcos).map(telco => telco.id);
+    const [rows] = await pool.query('SELECT * FROM alert_rules WHERE telco IN (?) ORDER BY id', [telcoIds]);
+    res.json({ rules: rows.map(alertEngine.formatRule), count: rows.length });
+  } catch (error) {
+    logger.error('Alert rule query failed', { error });
+    res.status(500).json({ error: 'Alert rule query failed', details: error.message });
+  }
+});
 
-    const tables = [];
-    if (telco.toLowerCase() === 'airtel' || telco.toLowerCase() === 'both') {
-      tables.push('airtel_loan_data');
+// Create an alert rule
+app.post('/api/alerts/rules', requireRole('admin'), validate({
+  summary: 'Create an alert rule',
+  tags: ['Alerts'],
+  body: { schema: ALERT_RULE_BODY },
+  status: 201
+}), async (req, res) => {
+  try {
+    const { errors, rule } = alertEngine.validateRule(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid alert rule', code: 'VALIDATION_ERROR', details: errors });
     }
-    if (telco.toLowerCase() === 'mtn' || telco.toLowerCase() === 'both') {
-      tables.push('MTN_loan_data');
+    if (resolveTelcos(rule.telco, req.auth.telcos).length === 0) {
+      return res.status(403).json({ error: 'Access to this telco is not permitted', code: 'TELCO_NOT_PERMITTED', telco: rule.telco });
     }
 
-    let allSummaries = [];
+    const columns = [...alertEngine.RULE_FIELDS, 'created_by'];
+    const [result] = await pool.query(
+      `INSERT INTO alert_rules (${columns.join(', ')}) VALUES (?)`,
+      [[...alertEngine.RULE_FIELDS.map(field => rule[field] === undefined ? null : rule[field]), req.auth.name]]
+    );
+    const [rows] = await pool.query('SELECT * FROM alert_rules WHERE id = ?', [result.insertId]);
 
-    for (const table of tables) {
-      const query = `
-        SELECT 
-          loan_type,
-          COUNT(*) as record_count,
-          SUM(gross_lent) as total_gross_lent,
-          SUM(principal_recovered) as total_principal_recovered,
-          SUM(sfee_recovered) as total_service_fee_recovered,
-          SUM(late_fees_recovered) as total_late_fees_recovered,
-          SUM(lending_txns) as total_lending_transactions,
-          SUM(recovery_txns) as total_recovery_transactions,
-          AVG(qualified_base) as avg_qualified_base,
-          MAX(load_date) as latest_date,
-          telco
-        FROM ${table}
-        WHERE load_date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
-        GROUP BY loan_type, telco
-        ORDER BY loan_type, telco
-      `;
+    res.status(201).json({ rule: alertEngine.formatRule(rows[0]) });
+  } catch (error) {
+    logger.error('Alert rule create failed', { error });
+    res.status(500).json({ error: 'Alert rule create failed', details: error.message });
+  }
+});
 
-      const [rows] = await pool.query(query, [parseInt(days)]);
-      
-      const formattedSummaries = rows.map(row => ({
-        ...row,
-        latest_date: moment(row.latest_date).format('YYYY-MM-DD'),
-        total_gross_lent: parseFloat(row.total_gross_lent) || 0,
-        total_principal_recovered: parseFloat(row.total_principal_recovered) || 0,
-        total_service_fee_recovered: parseFloat(row.total_service_fee_recovered) || 0,
-        total_late_fees_recovered: parseFloat(row.total_late_fees_recovered) || 0,
-        avg_qualified_base: parseFloat(row.avg_qualified_base) || 0
-      }));
+// Update an alert rule - omitted fields keep their current values
+app.put('/api/alerts/rules/:id', requireRole('admin'), validate({
+  summary: 'Update an alert rule - omitted fields keep their current values',
+  tags: ['Alerts'],
+  params: { id: ID_PARAM },
+  body: { schema: { ...ALERT_RULE_BODY, required: [] } },
+  errors: [404]
+}), async (req, res) => {
+  try {
+    const [existing] = await pool.query('SELECT * FROM alert_rules WHERE id = ?', [parseInt(req.params.id)]);
+    if (existing.length === 0 || resolveTelcos(existing[0].telco, req.auth.telcos).length === 0) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
 
-      allSummaries = allSummaries.concat(formattedSummaries);
+    const { errors, rule } = alertEngine.validateRule(req.body || {}, alertEngine.formatRule(existing[0]));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid alert rule', code: 'VALIDATION_ERROR', details: errors });
+    }
+    if (resolveTelcos(rule.telco, req.auth.telcos).length === 0) {
+      return res.status(403).json({ error: 'Access to this telco is not permitted', code: 'TELCO_NOT_PERMITTED', telco: rule.telco });
     }
 
-    res.json({
-      summary: allSummaries,
-      filters: { telco, days: parseInt(days) }
-    });
+    await pool.query(
+      `UPDATE alert_rules SET ${alertEngine.RULE_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...alertEngine.RULE_FIELDS.map(field => rule[field] === undefined ? null : rule[field]), existing[0].id]
+    );
+    const [rows] = await pool.query('SELECT * FROM alert_rules WHERE id = ?', [existing[0].id]);
 
+    res.json({ rule: alertEngine.formatRule(rows[0]) });
   } catch (error) {
-    console.error('Summary query failed:', error);
-    res.status(500).json({ error: 'Summary query failed', details: error.message });
+    logger.error('Alert rule update failed', { error });
+    res.status(500).json({ error: 'Alert rule update failed', details: error.message });
   }
 });
 
-// Get NPL data
-app.get('/api/npl-data', async (req, res) => {
+// Delete an alert rule (its event history is kept)
+app.delete('/api/alerts/rules/:id', requireRole('admin'), validate({
+  summary: 'Delete an alert rule (its event history is kept)',
+  tags: ['Alerts'],
+  params: { id: ID_PARAM },
+  errors: [404]
+}), async (req, res) => {
   try {
-    console.log('=== NPL DEBUG: Complete NPL query with JOIN ===');
-    
-    // Complete query with JOIN to get both outstanding and recovered data
-    // Use latest available date for unrecovered table since it might be one day behind
-    const query = `
-      SELECT 
-        o.loan_type,
-        o.total_balance,
-        o.within_tenure,
-        o.arrears_30_days,
-        o.arrears_31_60_days,
-        o.arrears_61_90_days,
-        o.arrears_91_120_days,
-        o.arrears_121_150_days,
-        o.arrears_151_180_days,
-        o.arrears_181_plus_days,
-        ROUND(((o.total_balance - o.within_tenure) / o.total_balance * 100), 2) as arrears_percentage,
-        o.report_date,
-        COALESCE(r.total_balance, 0) as net_recovered_value,
-        COALESCE(u.total_balance, 
-          ROUND(((o.total_balance) / (o.total_balance + COALESCE(r.total_balance, 0)) * 100), 2)
-        ) as unrecovered_percentage_net
-      FROM airtel_npl_outstanding_balance_net_summary o
-      LEFT JOIN airtel_npl_net_recovered_value_summary r 
-        ON o.loan_type = r.loan_type 
-        AND DATE(o.report_date) = DATE(r.report_date)
-      LEFT JOIN airtel_npl_unrecovered_percentage_summary u 
-        ON o.loan_type = u.loan_type 
-        AND DATE(u.report_date) = (SELECT MAX(DATE(report_date)) FROM airtel_npl_unrecovered_percentage_summary WHERE loan_type = o.loan_type)
-      WHERE o.report_date = (SELECT MAX(report_date) FROM airtel_npl_outstanding_balance_net_summary)
-      ORDER BY 
-        CASE o.loan_type
-          WHEN '7 Days Loan' THEN 1
-          WHEN '14 Days Loan' THEN 2
-          WHEN '21 Days Loan' THEN 3
-          WHEN '30 Days Loan' THEN 4
-          WHEN 'Grand Total' THEN 5
-          ELSE 6
-        END
-    `;
-    
-    console.log('NPL Query:', query);
+    const [existing] = await pool.query('SELECT * FROM alert_rules WHERE id = ?', [parseInt(req.params.id)]);
+    if (existing.length === 0 || resolveTelcos(existing[0].telco, req.auth.telcos).length === 0) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
 
-    const [rows] = await pool.query(query);
-    
-    console.log('=== NPL DEBUG: JOIN Results ===');
-    rows.forEach(row => {
-      console.log(`${row.loan_type}:`);
-      console.log(`  Total Balance: ${row.total_balance}`);
-      console.log(`  Net Recovered: ${row.net_recovered_value}`);
-      console.log(`  Unrecovered %: ${row.unrecovered_percentage_net}`);
-      console.log(`  All arrears fields present: ${!!(row.arrears_31_60_days && row.arrears_61_90_days && row.arrears_91_120_days)}`);
-    });
-    
-    const nplData = rows.map(row => ({
-      ...row,
-      report_date: moment(row.report_date).format('YYYY-MM-DD'),
-      // Use direct field mapping from database
-      total_balance: parseFloat(row.total_balance) || 0,
-      within_tenure: parseFloat(row.within_tenure) || 0,
-      arrears_30_days: parseFloat(row.arrears_30_days) || 0,
-      arrears_31_60_days: parseFloat(row.arrears_31_60_days) || 0,
-      arrears_61_90_days: parseFloat(row.arrears_61_90_days) || 0,
-      arrears_91_120_days: parseFloat(row.arrears_91_120_days) || 0,
-      arrears_121_150_days: parseFloat(row.arrears_121_150_days) || 0,
-      arrears_151_180_days: parseFloat(row.arrears_151_180_days) || 0,
-      arrears_181_plus_days: parseFloat(row.arrears_181_plus_days) || 0,
-      // Recovered and percentage data from JOINed tables
-      net_recovered_value: parseFloat(row.net_recovered_value) || 0,
-      unrecovered_percentage_net: parseFloat(row.unrecovered_percentage_net) || 0,
-      // Calculated percentages
-      arrears_percentage: parseFloat(row.arrears_percentage) || 0
-    }));
+    await pool.query('DELETE FROM alert_rules WHERE id = ?', [existing[0].id]);
+    res.json({ deleted: existing[0].id });
+  } catch (error) {
+    logger.error('Alert rule delete failed', { error });
+    res.status(500).json({ error: 'Alert rule delete failed', details: error.message });
+  }
+});
+
+// Evaluate every enabled rule now
+app.post('/api/alerts/evaluate', requireRole('admin'), validate({
+  summary: 'Evaluate every enabled rule now',
+  tags: ['Alerts']
+}), async (req, res) => {
+  try {
+    const results = await alertEngine.evaluateAll('manual');
+    res.json({ results, evaluated_at: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Alert evaluation failed', { error });
+    res.status(500).json({ error: 'Alert evaluation failed', details: error.message });
+  }
+});
+
+// Get alert state history, newest first (?rule_id=, ?limit=)
+app.get('/api/alerts/events', requireRole('analyst'), validate({
+  summary: 'Alert state history, newest first',
+  tags: ['Alerts'],
+  query: {
+    rule_id: ID_PARAM,
+    limit: param.integer({ min: 1, max: 1000, default: 100 })
+  }
+}), async (req, res) => {
+  try {
+    const { rule_id, limit = '100' } = req.query;
+    const telcoIds = resolveTelcos('all', req.auth.telcos).map(telco => telco.id);
+
+    const whereConditions = ['r.telco IN (?)'];
+    const params = [telcoIds];
+    if (rule_id) {
+      whereConditions.push('e.rule_id = ?');
+      params.push(parseInt(rule_id));
+    }
+
+    const [rows] = await pool.query(`
+      SELECT e.*, r.name AS rule_name, r.telco
+      FROM alert_events e
+      JOIN alert_rules r ON r.id = e.rule_id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT ?
+    `, [...params, parseInt(limit) || 100]);
 
     res.json({
-      npl_data: nplData,
-      timestamp: new Date().toISOString()
+      events: rows.map(row => ({ ...row, value: row.value === null ? null : parseFloat(row.value) })),
+      count: rows.length
     });
+  } catch (error) {
+    logger.error('Alert event query failed', { error });
+    res.status(500).json({ error: 'Alert event query failed', details: error.message });
+  }
+});
+
+// List targets (?month=YYYY-MM, ?telco=)
+app.get('/api/targets', requireRole('analyst'), validate({
+  summary: 'List targets',
+  tags: ['Targets'],
+  query: {
+    month: param.month(),
+    telco: param.telco({ default: 'all' })
+  }
+}), async (req, res) => {
+  try {
+    const { month, telco = 'all' } = req.query;
+    const telcoIds = resolveTelcos(telco, req.auth.telcos).map(t => t.id);
+    if (telcoIds.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    const whereConditions = ['telco IN (?)'];
+    const params = [telcoIds];
+    if (month) {
+      whereConditions.push('month = ?');
+      params.push(month);
+    }
 
+    const [rows] = await pool.query(
+      `SELECT * FROM targets WHERE ${whereConditions.join(' AND ')} ORDER BY month DESC, telco, loan_type, metric`,
+      params
+    );
+    res.json({ targets: rows.map(formatTarget), count: rows.length });
   } catch (error) {
-    console.error('NPL query failed:', error);
-    res.status(500).json({ error: 'NPL query failed', details: error.message });
+    logger.error('Target query failed', { error });
+    res.status(500).json({ error: 'Target query failed', details: error.message });
   }
 });
 
-// Get latest data processing status
-app.get('/api/status', async (req, res) => {
-  try {
-    // Check latest data in both tables
-    const airtelQuery = `
-      SELECT 
-        MAX(load_date) as latest_date,
-        COUNT(*) as total_records,
-        'Airtel' as telco
-      FROM airtel_loan_data
-    `;
-    
-    const mtnQuery = `
-      SELECT 
-        MAX(load_date) as latest_date,
-        COUNT(*) as total_records,
-        'MTN' as telco
-      FROM MTN_loan_data
-    `;
+// Create a target - one per month, telco, loan_type and metric
+app.post('/api/targets', requireRole('admin'), validate({
+  summary: 'Create a target - one per month, telco, loan_type and metric',
+  tags: ['Targets'],
+  body: { schema: TARGET_BODY },
+  status: 201,
+  errors: [409]
+}), async (req, res) => {
+  try {
+    const { errors, target } = validateTarget(req.body || {}, {}, Object.keys(AGGREGATE_METRICS));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid target', code: 'VALIDATION_ERROR', details: errors });
+    }
+    if (resolveTelcos(target.telco, req.auth.telcos).length === 0) {
+      return res.status(403).json({ error: 'Access to this telco is not permitted', code: 'TELCO_NOT_PERMITTED', telco: target.telco });
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO targets (${[...TARGET_FIELDS, 'created_by'].join(', ')}) VALUES (?)`,
+      [[...TARGET_FIELDS.map(field => target[field]), req.auth.name]]
+    );
+    const [rows] = await pool.query('SELECT * FROM targets WHERE id = ?', [result.insertId]);
+    queryCache.purge('/api/targets/attainment');
+
+    res.status(201).json({ target: formatTarget(rows[0]) });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'A target already exists for this month, telco, loan_type and metric' });
+    }
+    logger.error('Target create failed', { error });
+    res.status(500).json({ error: 'Target create failed', details: error.message });
+  }
+});
+
+// Update a target - omitted fields keep their current values
+app.put('/api/targets/:id', requireRole('admin'), validate({
+  summary: 'Update a target - omitted fields keep their current values',
+  tags: ['Targets'],
+  params: { id: ID_PARAM },
+  body: { schema: { ...TARGET_BODY, required: [] } },
+  errors: [404, 409]
+}), async (req, res) => {
+  try {
+    const [existing] = await pool.query('SELECT * FROM targets WHERE id = ?', [parseInt(req.params.id)]);
+    if (existing.length === 0 || resolveTelcos(existing[0].telco, req.auth.telcos).length === 0) {
+      return res.status(404).json({ error: 'Target not found' });
+    }
+
+    const { errors, target } = validateTarget(req.body || {}, formatTarget(existing[0]), Object.keys(AGGREGATE_METRICS));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid target', code: 'VALIDATION_ERROR', details: errors });
+    }
+    if (resolveTelcos(target.telco, req.auth.telcos).length === 0) {
+      return res.status(403).json({ error: 'Access to this telco is not permitted', code: 'TELCO_NOT_PERMITTED', telco: target.telco });
+    }
 
-    const [airtelResult] = await pool.query(airtelQuery);
-    const [mtnResult] = await pool.query(mtnQuery);
+    await pool.query(
+      `UPDATE targets SET ${TARGET_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...TARGET_FIELDS.map(field => target[field]), existing[0].id]
+    );
+    const [rows] = await pool.query('SELECT * FROM targets WHERE id = ?', [existing[0].id]);
+    queryCache.purge('/api/targets/attainment');
+
+    res.json({ target: formatTarget(rows[0]) });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'A target already exists for this month, telco, loan_type and metric' });
+    }
+    logger.error('Target update failed', { error });
+    res.status(500).json({ error: 'Target update failed', details: error.message });
+  }
+});
+
+// Delete a target
+app.delete('/api/targets/:id', requireRole('admin'), validate({
+  summary: 'Delete a target',
+  tags: ['Targets'],
+  params: { id: ID_PARAM },
+  errors: [404]
+}), async (req, res) => {
+  try {
+    const [existing] = await pool.query('SELECT * FROM targets WHERE id = ?', [parseInt(req.params.id)]);
+    if (existing.length === 0 || resolveTelcos(existing[0].telco, req.auth.telcos).length === 0) {
+      return res.status(404).json({ error: 'Target not found' });
+    }
+
+    await pool.query('DELETE FROM targets WHERE id = ?', [existing[0].id]);
+    queryCache.purge('/api/targets/attainment');
+    res.json({ deleted: existing[0].id });
+  } catch (error) {
+    logger.error('Target delete failed', { error });
+    res.status(500).json({ error: 'Target delete failed', details: error.message });
+  }
+});
+
+// Month-to-date actuals (latest processed_at versions) against each target of a month.
+// Cached on loan freshness; target writes purge it.
+app.get('/api/targets/attainment', requireRole('analyst'), validate({
+  summary: 'Month-to-date actuals against each target of a month',
+  tags: ['Targets'],
+  query: {
+    month: param.month({ description: 'Default the current month' }),
+    telco: param.telco({ default: 'all' }),
+    loan_type: param.string({ maxLength: 20, description: 'Product code; empty for telco-wide targets only' })
+  }
+}), queryCache.middleware('loan'), async (req, res) => {
+  try {
+    const { month = moment().format('YYYY-MM'), telco = 'all', loan_type } = req.query;
+
+    if (!moment(month, 'YYYY-MM', true).isValid()) {
+      return res.status(400).json({ error: 'Invalid month parameter', expected: 'YYYY-MM' });
+    }
+
+    const telcos = resolveTelcos(telco, req.auth.telcos);
+    if (telcos.length === 0) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    const whereConditions = ['month = ?', 'telco IN (?)'];
+    const params = [month, telcos.map(t => t.id)];
+    if (loan_type !== undefined) {
+      whereConditions.push('loan_type = ?');
+      params.push(String(loan_type));
+    }
+
+    const [targetRows] = await pool.query(
+      `SELECT * FROM targets WHERE ${whereConditions.join(' AND ')} ORDER BY telco, loan_type, metric`,
+      params
+    );
+
+    const monthStart = moment(month, 'YYYY-MM').startOf('month').format('YYYY-MM-DD');
+    const monthEnd = moment(month, 'YYYY-MM').endOf('month').format('YYYY-MM-DD');
+
+    // Actuals run through the latest day each telco has loaded, so a late load isn't read as a shortfall
+    const asOfByTelco = new Map();
+    const results = [];
+
+    for (const row of targetRows) {
+      const target = formatTarget(row);
+      const tables = resolveLoanTables(target.telco);
+      if (tables.length === 0) continue;
+
+      if (!asOfByTelco.has(target.telco)) {
+        const [latest] = await pool.query(
+          `SELECT MAX(load_date) AS latest_date FROM ${tables[0].table} WHERE load_date BETWEEN ? AND ? AND ${tables[0].filter}`,
+          [monthStart, monthEnd]
+        );
+        asOfByTelco.set(target.telco, latest[0] && latest[0].latest_date ? moment(latest[0].latest_date).format('YYYY-MM-DD') : null);
+      }
+      const asOf = asOfByTelco.get(target.telco);
+
+      const totals = asOf
+        ? await fetchMetricTotals(tables, {
+          startDate: monthStart,
+          endDate: asOf,
+          loanType: target.loan_type_name,
+          metricNames: [target.metric]
+        })
+        : { [target.metric]: 0 };
+
+      results.push({
+        id: target.id,
+        month,
+        telco: target.telco,
+        loan_type: target.loan_type,
+        loan_type_name: target.loan_type_name,
+        metric: target.metric,
+        as_of: asOf,
+        ...attainment(totals[target.metric], target.target_value, { month, asOf })
+      });
+    }
 
     res.json({
-      status: 'active',
-      data_status: {
-        airtel: {
-          latest_date: airtelResult[0].latest_date ? moment(airtelResult[0].latest_date).format('YYYY-MM-DD') : null,
-          total_records: airtelResult[0].total_records
-        },
-        mtn: {
-          latest_date: mtnResult[0].latest_date ? moment(mtnResult[0].latest_date).format('YYYY-MM-DD') : null,
-          total_records: mtnResult[0].total_records
-        }
-      },
-      timestamp: new Date().toISOString()
+      attainment: results,
+      count: results.length,
+      month,
+      filters: { telco, loan_type }
     });
+  } catch (error) {
+    logger.error('Attainment query failed', { error });
+    res.status(500).json({ error: 'Attainment query failed', details: error.message });
+  }
+});
 
+// List stored FX rates (?base_currency=ZMW&quote_currency=USD&start_date=...&end_date=...)
+app.get('/api/fx-rates', validate({
+  summary: 'Stored FX rates',
+  tags: ['FX rates'],
+  query: {
+    base_currency: param.currency(),
+    quote_currency: param.currency(),
+    ...DATE_RANGE_PARAMS,
+    limit: param.integer({ min: 1, max: MAX_PAGE_SIZE, default: 1000 })
+  },
+  ranges: DATE_RANGES
+}), async (req, res) => {
+  try {
+    const rates = await fx.listRates(req.query);
+    res.json({ rates, count: rates.length });
   } catch (error) {
-    console.error('Status query failed:', error);
-    res.status(500).json({ error: 'Status query failed', details: error.message });
+    logger.error('FX rate query failed', { error });
+    res.status(500).json({ error: 'FX rate query failed', details: error.message });
+  }
+});
+
+// Load FX rates - body { rates: [{ rate_date, base_currency, quote_currency, rate }] }; existing days are replaced
+app.post('/api/fx-rates', requireRole('admin'), validate({
+  summary: 'Load FX rates - existing days are replaced',
+  tags: ['FX rates'],
+  body: { schema: FX_RATES_BODY },
+  status: 201
+}), async (req, res) => {
+  try {
+    const { errors, rates } = validateRates(req.body && req.body.rates);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid FX rates', code: 'VALIDATION_ERROR', details: errors });
+    }
+
+    const written = await fx.upsertRates(rates, req.auth.name);
+
+    // Converted responses in the cache were built with the old rates
+    const purged = queryCache.purge();
+    logger.info('FX rates loaded', { user: req.auth.name, rates: written, purged });
+
+    res.status(201).json({ loaded: written });
+  } catch (error) {
+    logger.error('FX rate load failed', { error });
+    res.status(500).json({ error: 'FX rate load failed', details: error.message });
   }
 });
 
+// Get cache statistics
+app.get('/api/admin/cache', requireRole('admin'), validate({
+  summary: 'Cache statistics',
+  tags: ['Admin']
+}), (req, res) => {
+  res.json({ cache: queryCache.getStats(), timestamp: new Date().toISOString() });
+});
+
+// Purge cached responses - everything, or only routes starting with ?path=
+app.delete('/api/admin/cache', requireRole('admin'), validate({
+  summary: 'Purge cached responses',
+  tags: ['Admin'],
+  query: { path: param.string({ description: 'Only purge routes starting with this path' }) }
+}), (req, res) => {
+  const removed = queryCache.purge(req.query.path);
+  logger.info('Cache purged', { user: req.auth.name, removed, path: req.query.path });
+  res.json({ purged: removed, path: req.query.path || null, cache: queryCache.getStats() });
+});
+
 // Test endpoint to check table structure
-app.get('/api/test-table-structure', async (req, res) => {
+app.get('/api/test-table-structure', requireRole('admin'), validate({
+  summary: 'Diagnostics: loan table structure',
+  tags: ['Admin'],
+  query: { telco: param.telco({ single: true, default: 'airtel' }) }
+}), async (req, res) => {
   try {
-    const [rows] = await pool.query('DESCRIBE airtel_loan_data');
+    const [telco] = resolveTelcos(req.query.telco || 'airtel', req.auth.telcos);
+    if (!telco) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    const [rows] = await pool.query(`DESCRIBE ${telco.loan_table}`);
     res.json({ columns: rows });
   } catch (error) {
-    console.error('Table structure check failed:', error);
+    logger.error('Table structure check failed', { error });
     res.status(500).json({ error: 'Table structure check failed', details: error.message });
   }
 });
 
 // Test endpoint with simple query
-app.get('/api/test-simple-query', async (req, res) => {
+app.get('/api/test-simple-query', requireRole('admin'), validate({
+  summary: 'Diagnostics: sample loan rows',
+  tags: ['Admin'],
+  query: { telco: param.telco({ single: true, default: 'airtel' }) }
+}), async (req, res) => {
   try {
-    const query = `SELECT load_date, loan_type, denom, gross_lent FROM airtel_loan_data LIMIT 10`;
-    console.log('🔍 Simple Test Query:', query);
+    const [telco] = resolveTelcos(req.query.telco || 'airtel', req.auth.telcos);
+    if (!telco) {
+      return res.status(400).json({ error: 'Invalid telco parameter' });
+    }
+
+    const query = `SELECT load_date, loan_type, denom, gross_lent FROM ${telco.loan_table} LIMIT 10`;
     const [rows] = await pool.query(query);
     res.json({ data: rows, count: rows.length });
   } catch (error) {
-    console.error('Simple query failed:', error);
+    logger.error('Simple query failed', { error });
     res.status(500).json({ error: 'Simple query failed', details: error.message });
   }
 });
 
 // Test NPL table structures and date ranges
-app.get('/api/test-npl-tables', async (req, res) => {
+app.get('/api/test-npl-tables', requireRole('admin'), validate({
+  summary: 'Diagnostics: NPL table structures and date ranges',
+  tags: ['Admin'],
+  query: { telco: param.telco({ default: 'all' }) },
+  errors: [404]
+}), async (req, res) => {
   try {
+    const [nplTelco] = resolveNplTelcos(req.query.telco || 'all', req.auth.telcos);
+    if (!nplTelco) {
+      return res.status(404).json({ error: 'No NPL tables registered' });
+    }
+
     const results = {};
-    
-    // Test airtel_npl_outstanding_balance_net_summary
-    const query1 = `SELECT * FROM airtel_npl_outstanding_balance_net_summary LIMIT 1`;
-    console.log('🔍 Testing outstanding table:', query1);
-    const [rows1] = await pool.query(query1);
-    results.outstanding_table = { columns: Object.keys(rows1[0] || {}), sample_data: rows1[0] };
-    
-    // Test airtel_npl_net_recovered_value_summary
-    const query2 = `SELECT * FROM airtel_npl_net_recovered_value_summary LIMIT 1`;
-    console.log('🔍 Testing recovered table:', query2);
-    const [rows2] = await pool.query(query2);
-    results.recovered_table = { columns: Object.keys(rows2[0] || {}), sample_data: rows2[0] };
-    
-    // Test airtel_npl_unrecovered_percentage_summary
-    const query3 = `SELECT * FROM airtel_npl_unrecovered_percentage_summary LIMIT 1`;
-    console.log('🔍 Testing unrecovered table:', query3);
-    const [rows3] = await pool.query(query3);
-    results.unrecovered_table = { columns: Object.keys(rows3[0] || {}), sample_data: rows3[0] };
-    
-    // Check available dates in all tables
-    const dateQuery1 = `SELECT DISTINCT DATE(report_date) as date FROM airtel_npl_outstanding_balance_net_summary ORDER BY date DESC LIMIT 5`;
-    const [datRows1] = await pool.query(dateQuery1);
-    results.outstanding_dates = datRows1;
-    
-    const dateQuery2 = `SELECT DISTINCT DATE(report_date) as date FROM airtel_npl_net_recovered_value_summary ORDER BY date DESC LIMIT 5`;
-    const [datRows2] = await pool.query(dateQuery2);
-    results.recovered_dates = datRows2;
-    
-    const dateQuery3 = `SELECT DISTINCT DATE(report_date) as date FROM airtel_npl_unrecovered_percentage_summary ORDER BY date DESC LIMIT 5`;
-    const [datRows3] = await pool.query(dateQuery3);
-    results.unrecovered_dates = datRows3;
+
+    for (const key of ['outstanding', 'recovered', 'unrecovered']) {
+      const table = nplTelco.npl_tables[key];
+
+      const query = `SELECT * FROM ${table} LIMIT 1`;
+      const [rows] = await pool.query(query);
+      results[`${key}_table`] = { columns: Object.keys(rows[0] || {}), sample_data: rows[0] };
+
+      // Check available dates
+      const dateQuery = `SELECT DISTINCT DATE(report_date) as date FROM ${table} ORDER BY date DESC LIMIT 5`;
+      const [dateRows] = await pool.query(dateQuery);
+      results[`${key}_dates`] = dateRows;
+    }
     
     res.json(results);
   } catch (error) {
-    console.error('NPL table test failed:', error);
+    logger.error('NPL table test failed', { error });
     res.status(500).json({ error: 'NPL table test failed', details: error.message });
   }
 });
 
 // Test what the actual API returns for Aug 6
-app.get('/api/test-api-output', async (req, res) => {
+app.get('/api/test-api-output', requireRole('admin'), validate({
+  summary: 'Diagnostics: /api/loan-data output for a fixed day',
+  tags: ['Admin']
+}), async (req, res) => {
   try {
     // Simulate the actual API call for Aug 6
     const apiUrl = `http://localhost:${process.env.PORT || 5000}/api/loan-data?start_date=2025-08-06&end_date=2025-08-06&telco=airtel`;
-    console.log('🔍 Testing API URL:', apiUrl);
+    logger.debug('Testing API URL', { url: apiUrl });
     
     // Make internal API call
     const fetch = require('node-fetch');
-    const response = await fetch(apiUrl);
+    // Forward the caller's credentials so the internal call passes authentication
+    const response = await fetch(apiUrl, {
+      headers: { authorization: req.get('authorization') || '', 'x-api-key': req.get('x-api-key') || '' }
+    });
     const data = await response.json();
     
     // Calculate totals from API response
@@ -650,46 +3916,120 @@ app.get('/api/test-api-output', async (req, res) => {
       calculated_totals: apiTotals
     });
   } catch (error) {
-    console.error('API test failed:', error);
+    logger.error('API test failed', { error });
     res.status(500).json({ error: 'API test failed', details: error.message });
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error' });
-});
+// Unmatched routes and errors thrown past the routes, in the standard error envelope
+app.use(notFound);
+app.use(errorHandler);
+
+// Time allowed for in-flight requests to finish after SIGTERM/SIGINT before connections are cut
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
 
-// Initialize server
+let server = null;
+
+// Initialize server - listen straight away so liveness/readiness probes answer while the
+// database is still being reached; data routes run in degraded mode until it is
 async function startServer() {
+  server = app.listen(PORT, () => {
+    logger.info('API server listening', { port: PORT });
+    logger.debug('Dashboard API endpoints', {
+      endpoints: [
+        'GET /api/health - Health check (pings the database)',
+        'GET /api/health/live - Liveness probe',
+        'GET /api/health/ready - Readiness probe (database, tables, data staleness)',
+        'GET /metrics - Prometheus request latency, query and pool metrics',
+        'GET /api/openapi.json - OpenAPI 3 description of every route',
+        'GET /api/loan-data - Get loan data with filters (cursor= pages, format=ndjson|csv|xlsx streams)',
+        'GET /api/loan-data/aggregate - Get day/week/month aggregated metrics',
+        'GET /api/loan-data/compare - Get DoD/WoW/MoM/YoY comparisons',
+        'GET /api/loan-data/versions - Get processed_at versions and diffs for a load_date',
+        'GET /api/loan-data/restatements - Get recent restatements across dates',
+        'GET /api/loan-data/forecast - Get month-end projections with confidence bands',
+        'GET /api/loan-data/collection-efficiency - Get tenor-aligned collection efficiency',
+        'GET /api/loan-data/denominations - Get denomination band mix, mix shift and top denominations',
+        'GET /api/loan-data/funnel - Get penetration and transactions per active by window',
+        'GET /api/loan-data/summary - Get aggregated summary',
+        'GET /api/loan-data/:loanType - Get specific loan type data',
+        'GET /api/kpis - Get recovery rate, fee yield, fee mix and average ticket KPIs',
+        'GET /api/npl-data - Get NPL data (latest, report_date or date range)',
+        'GET /api/npl-data/comparison - Get side-by-side NPL figures per telco',
+        'GET /api/npl-data/roll-rates - Get arrears bucket migration and cure rates',
+        'GET /api/status - Get data processing status',
+        'GET /api/events - Server-sent events when new loan/NPL data lands',
+        'GET /api/data-quality - Get gaps, staleness and outlier issues',
+        'GET /api/registry - Get registered telcos and products',
+        'GET|POST|PUT|DELETE /api/targets - Manage monthly targets',
+        'GET /api/targets/attainment - Get month-to-date attainment against targets',
+        'GET|POST /api/fx-rates - List / load FX rates (currency= converts loan and NPL responses)',
+        'GET|DELETE /api/admin/cache - Cache statistics / purge',
+        'POST /api/ingest/:telco - Upload a daily CSV extract',
+        'GET /api/ingestions - Get recent file ingestions',
+        'GET|POST|PUT|DELETE /api/alerts/rules - Manage alert rules',
+        'POST /api/alerts/evaluate, GET /api/alerts/events - Run alerts / state history'
+      ]
+    });
+  });
+
   try {
-    // Test database connection first
-    await testDatabaseConnection();
-    
-    // Start server
-    app.listen(PORT, () => {
-      console.log(`🚀 API Server running on port ${PORT}`);
-      console.log(`📊 Dashboard API endpoints:`);
-      console.log(`   GET /api/health - Health check`);
-      console.log(`   GET /api/loan-data - Get loan data with filters`);
-      console.log(`   GET /api/loan-data/:loanType - Get specific loan type data`);
-      console.log(`   GET /api/loan-data/summary - Get aggregated summary`);
-      console.log(`   GET /api/npl-data - Get NPL data`);
-      console.log(`   GET /api/status - Get data processing status`);
-    });
-  } catch (error) {
-    console.error('Failed to start server:', error);
+    await health.start(async () => {
+      await ensureSchema(pool);
+      alertEngine.start();
+    });
+  } catch (error) {
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  await pool.end();
+// Graceful shutdown: fail readiness, stop accepting connections, let in-flight requests
+// finish (up to SHUTDOWN_TIMEOUT_MS), then stop background work and close the pool
+let shuttingDown = false;
+
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down gracefully', { signal, timeout_ms: SHUTDOWN_TIMEOUT_MS });
+
+  health.beginDrain();
+  alertEngine.stop();
+  dataWatcher.stop();
+  eventStreams.forEach(stream => stream.end());
+
+  if (server) {
+    const closed = new Promise(resolve => server.close(resolve));
+
+    // Keep-alive sockets go idle as their last request finishes; close them as they do
+    const closeIdle = () => server.closeIdleConnections();
+    closeIdle();
+    const idleSweep = setInterval(closeIdle, 250);
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(true), SHUTDOWN_TIMEOUT_MS);
+    });
+    if (await Promise.race([closed.then(() => false), timedOut])) {
+      logger.warn('Shutdown timeout reached, closing remaining connections');
+      if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+    }
+    clearTimeout(timer);
+    clearInterval(idleSweep);
+  }
+
+  health.stop();
+  try {
+    await pool.end();
+  } catch (error) {
+    logger.error('Closing the database pool failed', { error });
+  }
+  logger.info('Shutdown complete');
   process.exit(0);
-});
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start the server
 startServer();
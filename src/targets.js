@@ -0,0 +1,84 @@
+// targets.js - Monthly targets per telco and product, and attainment against actuals
+//
+// A target is one metric's goal for a month (YYYY-MM), telco and product code; an empty
+// loan_type covers every product of the telco. Attainment compares month-to-date actuals
+// with both the full-month target and the target pro-rated to the days elapsed.
+
+const moment = require('moment');
+const { getTelco, findProduct } = require('./registry');
+
+const TARGET_FIELDS = ['month', 'telco', 'loan_type', 'metric', 'target_value'];
+
+const formatTarget = (row) => {
+  const telco = getTelco(row.telco);
+  const product = telco && row.loan_type ? findProduct(telco, row.loan_type) : null;
+  return {
+    ...row,
+    loan_type_name: product ? product.loan_type : null,
+    target_value: parseFloat(row.target_value),
+    created_at: row.created_at ? moment(row.created_at).format('YYYY-MM-DD HH:mm:ss') : null,
+    updated_at: row.updated_at ? moment(row.updated_at).format('YYYY-MM-DD HH:mm:ss') : null
+  };
+};
+
+// Validate a target body against the summable loan `metrics`; `existing` supplies defaults for
+// partial updates. Returns { errors, target }.
+const validateTarget = (body, existing, metrics) => {
+  const target = {};
+  TARGET_FIELDS.forEach(field => {
+    target[field] = body[field] !== undefined ? body[field] : existing[field];
+  });
+  target.telco = target.telco ? String(target.telco).toLowerCase() : target.telco;
+  target.loan_type = target.loan_type === undefined || target.loan_type === null ? '' : String(target.loan_type);
+
+  const errors = [];
+  if (!moment(target.month, 'YYYY-MM', true).isValid()) errors.push('month must be YYYY-MM');
+
+  const telco = target.telco ? getTelco(target.telco) : null;
+  if (!telco) errors.push('telco must be a registered telco id');
+  if (telco && target.loan_type && !findProduct(telco, target.loan_type)) {
+    errors.push(`loan_type must be empty or one of ${telco.products.map(product => product.code).join(', ')}`);
+  }
+
+  if (!metrics.includes(target.metric)) errors.push(`metric must be one of ${metrics.join(', ')}`);
+
+  target.target_value = Number(target.target_value);
+  if (!Number.isFinite(target.target_value) || target.target_value < 0) errors.push('target_value must be a non-negative number');
+
+  return { errors, target };
+};
+
+const round2 = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+// Attainment of `actual` (summed from the month start through asOf) against a month's target
+const attainment = (actual, targetValue, { month, asOf }) => {
+  const monthStart = moment(month, 'YYYY-MM').startOf('month');
+  const daysInMonth = monthStart.daysInMonth();
+  const daysElapsed = asOf ? Math.min(Math.max(moment(asOf).diff(monthStart, 'days') + 1, 0), daysInMonth) : 0;
+  const remainingDays = daysInMonth - daysElapsed;
+
+  const proratedTarget = targetValue * daysElapsed / daysInMonth;
+  const gapToTarget = targetValue - actual;
+
+  return {
+    actual: round2(actual),
+    target: round2(targetValue),
+    prorated_target: round2(proratedTarget),
+    attainment_pct: proratedTarget ? round2(actual / proratedTarget * 100) : null,
+    full_month_attainment_pct: targetValue ? round2(actual / targetValue * 100) : null,
+    gap_to_prorated: round2(proratedTarget - actual),
+    gap_to_target: round2(gapToTarget),
+    days_in_month: daysInMonth,
+    days_elapsed: daysElapsed,
+    remaining_days: remainingDays,
+    current_daily_run_rate: daysElapsed ? round2(actual / daysElapsed) : null,
+    required_daily_run_rate: remainingDays ? round2(Math.max(gapToTarget, 0) / remainingDays) : null
+  };
+};
+
+module.exports = {
+  TARGET_FIELDS,
+  formatTarget,
+  validateTarget,
+  attainment
+};
@@ -0,0 +1,157 @@
+// tracing.js - Request IDs, request logging and per-query timing
+//
+// The tracer middleware gives every request an ID (the caller's X-Request-Id when it looks
+// sane, otherwise a fresh UUID), echoes it in the response header and runs the rest of the
+// request inside requestContext so log entries and query timings are tied back to it. When the
+// response finishes, one log entry and one latency observation are recorded per request.
+
+const { randomUUID } = require('crypto');
+const { logger, requestContext } = require('./logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Queries slower than this are logged as warnings
+const SLOW_QUERY_MS = parseInt(process.env.SLOW_QUERY_MS) || 1000;
+
+// Longest SQL text written to a log entry
+const MAX_LOGGED_SQL = 2000;
+
+const elapsedMs = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const sqlText = (sql) => (typeof sql === 'string' ? sql : (sql && sql.sql) || '');
+
+// Statement type used as the metrics label: select, insert, update, delete, ...
+const queryOperation = (sql) => {
+  const match = /^\s*\(?\s*([a-z]+)/i.exec(sqlText(sql));
+  return match ? match[1].toLowerCase() : 'unknown';
+};
+
+const compactSql = (sql) => {
+  const text = sqlText(sql).replace(/\s+/g, ' ').trim();
+  return text.length > MAX_LOGGED_SQL ? `${text.slice(0, MAX_LOGGED_SQL)}...` : text;
+};
+
+// Express route pattern that handled the request; unmatched paths share one label
+const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+const createRequestTracer = (metrics) => (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  const start = process.hrtime.bigint();
+  const store = { fields: { request_id: requestId }, stats: { query_count: 0, query_ms: 0 } };
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  let recorded = false;
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+
+    const durationMs = elapsedMs(start);
+    const route = routeLabel(req);
+    const status = res.statusCode;
+    metrics.observeRequest({ method: req.method, route, status }, durationMs / 1000);
+
+    const fields = {
+      request_id: requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status,
+      duration_ms: round(durationMs),
+      query_count: store.stats.query_count,
+      query_ms: round(store.stats.query_ms),
+      user: req.auth ? req.auth.name : undefined,
+      aborted: res.writableFinished ? undefined : true
+    };
+    if (status >= 500) logger.warn('Request failed', fields);
+    else logger.info('Request completed', fields);
+  };
+  res.on('finish', record);
+  res.on('close', record);
+
+  requestContext.run(store, next);
+};
+
+// Record one finished query: metrics, the current request's totals and a debug/slow-query log
+const recordQuery = (metrics, sql, durationMs, error, rowCount) => {
+  const operation = queryOperation(sql);
+  const store = requestContext.getStore();
+  if (store) {
+    store.stats.query_count += 1;
+    store.stats.query_ms += durationMs;
+  }
+
+  metrics.observeQuery(operation, durationMs / 1000);
+  if (error) {
+    metrics.countQueryError(operation, error.code);
+    logger.warn('Query failed', { operation, duration_ms: round(durationMs), code: error.code, error: error.message, sql: compactSql(sql) });
+  } else if (durationMs >= SLOW_QUERY_MS) {
+    logger.warn('Slow query', { operation, duration_ms: round(durationMs), rows: rowCount, sql: compactSql(sql) });
+  } else if (logger.isLevelEnabled('debug')) {
+    logger.debug('Query completed', { operation, duration_ms: round(durationMs), rows: rowCount, sql: compactSql(sql) });
+  }
+};
+
+const rowCountOf = (result) => {
+  const rows = Array.isArray(result) ? result[0] : undefined;
+  if (Array.isArray(rows)) return rows.length;
+  return rows && typeof rows.affectedRows === 'number' ? rows.affectedRows : undefined;
+};
+
+// Wrap query/execute of a promise pool or connection so every call is timed
+const instrumentQueries = (target, metrics, onQueryError) => {
+  ['query', 'execute'].forEach(method => {
+    if (typeof target[method] !== 'function') return;
+    const original = target[method].bind(target);
+    target[method] = async (sql, ...args) => {
+      const start = process.hrtime.bigint();
+      try {
+        const result = await original(sql, ...args);
+        recordQuery(metrics, sql, elapsedMs(start), null, rowCountOf(result));
+        return result;
+      } catch (error) {
+        recordQuery(metrics, sql, elapsedMs(start), error);
+        if (onQueryError) onQueryError(error);
+        throw error;
+      }
+    };
+  });
+  return target;
+};
+
+// Time every query run through the pool, including those on connections it hands out.
+// onQueryError, when given, sees every failed query's error.
+const instrumentPool = (pool, metrics, { onQueryError } = {}) => {
+  instrumentQueries(pool, metrics, onQueryError);
+  const getConnection = pool.getConnection.bind(pool);
+  pool.getConnection = async (...args) => instrumentQueries(await getConnection(...args), metrics, onQueryError);
+  return pool;
+};
+
+// Time a row stream from a core connection's query(...).stream(), which bypasses the promise wrapper
+const traceQueryStream = (stream, sql, metrics) => {
+  const start = process.hrtime.bigint();
+  let done = false;
+  // No 'data' listener here - it would switch the stream to flowing mode under its consumer
+  const finish = (error) => {
+    if (done) return;
+    done = true;
+    recordQuery(metrics, sql, elapsedMs(start), error || null);
+  };
+  stream.once('end', () => finish());
+  stream.once('error', finish);
+  stream.once('close', () => finish());
+  return stream;
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  createRequestTracer,
+  instrumentPool,
+  traceQueryStream
+};
@@ -0,0 +1,154 @@
+// validation.js - Declarative request validation for the API routes
+//
+// Each route declares its path, query and body parameters with the `param` builders below and
+// mounts validate(schema) ahead of its handler. Invalid requests are answered with a 400
+// VALIDATION_ERROR listing every problem, so handlers only ever see well-formed values. The
+// same schema (summary, tags, parameter descriptions) is what openapi.js documents.
+
+const moment = require('moment');
+const { ALL_TELCOS, getTelcos, productCodes } = require('./registry');
+const { CURRENCY_PATTERN } = require('./fx');
+
+// Parameter builders. Every spec accepts `description`, `required`, `default` and `example`.
+const param = {
+  string: (options = {}) => ({ type: 'string', maxLength: 200, ...options }),
+  integer: (options = {}) => ({ type: 'integer', ...options }),
+  number: (options = {}) => ({ type: 'number', ...options }),
+  boolean: (options = {}) => ({ type: 'boolean', ...options }),
+  date: (options = {}) => ({ type: 'date', ...options }),
+  month: (options = {}) => ({ type: 'month', ...options }),
+  // `values` may be a function so registry-backed lists are read when the request arrives
+  enum: (values, options = {}) => ({ type: 'enum', values, ...options }),
+  // Comma-separated list of allowed values, e.g. metrics=gross_lent,fees_charged
+  list: (values, options = {}) => ({ type: 'list', values, ...options }),
+  // A registered telco id; all/both too unless `single` is set
+  telco: (options = {}) => ({
+    type: 'enum',
+    values: () => [...(options.single ? [] : ALL_TELCOS), ...getTelcos().map(telco => telco.id)],
+    description: options.single ? 'Telco id' : 'Telco id, or all/both for every telco the key may read',
+    ...options
+  }),
+  // A registry product code (7, 14, ...)
+  productCode: (options = {}) => ({ type: 'enum', values: productCodes, description: 'Product code, e.g. 7 for Nano 7D', ...options }),
+  currency: (options = {}) => ({
+    type: 'string',
+    pattern: CURRENCY_PATTERN,
+    transform: value => value.toUpperCase(),
+    patternMessage: 'must be an ISO 4217 code such as USD',
+    description: 'ISO 4217 currency code',
+    example: 'USD',
+    ...options
+  })
+};
+
+const allowedValues = (spec) => (typeof spec.values === 'function' ? spec.values() : spec.values);
+
+// Problem with one value, or null when it is valid
+const checkValue = (spec, value) => {
+  switch (spec.type) {
+    case 'integer': {
+      if (!/^-?\d+$/.test(value)) return { message: 'must be an integer' };
+      const number = Number(value);
+      if (spec.min !== undefined && number < spec.min) return { message: `must be at least ${spec.min}` };
+      if (spec.max !== undefined && number > spec.max) return { message: `must be at most ${spec.max}` };
+      return null;
+    }
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return { message: 'must be a number' };
+      if (spec.min !== undefined && number < spec.min) return { message: `must be at least ${spec.min}` };
+      if (spec.max !== undefined && number > spec.max) return { message: `must be at most ${spec.max}` };
+      return null;
+    }
+    case 'boolean':
+      return ['true', 'false'].includes(value) ? null : { message: 'must be true or false' };
+    case 'date':
+      return moment(value, 'YYYY-MM-DD', true).isValid() ? null : { message: 'must be a date in YYYY-MM-DD format' };
+    case 'month':
+      return moment(value, 'YYYY-MM', true).isValid() ? null : { message: 'must be a month in YYYY-MM format' };
+    case 'enum': {
+      const allowed = allowedValues(spec);
+      return allowed.includes(value.toLowerCase()) ? null : { message: `must be one of ${allowed.join(', ')}`, allowed };
+    }
+    case 'list': {
+      const allowed = allowedValues(spec);
+      const items = value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+      if (items.length === 0) return { message: 'must list at least one value', allowed };
+      const invalid = items.filter(item => !allowed.includes(item));
+      return invalid.length > 0 ? { message: `contains unknown values: ${invalid.join(', ')}`, invalid, allowed } : null;
+    }
+    default: {
+      const text = spec.transform ? spec.transform(value) : value;
+      if (spec.maxLength && text.length > spec.maxLength) return { message: `must be at most ${spec.maxLength} characters` };
+      if (spec.pattern && !spec.pattern.test(text)) return { message: spec.patternMessage || `must match ${spec.pattern}` };
+      return null;
+    }
+  }
+};
+
+// Problems with one location's parameters (query or path) against its specs
+const checkParameters = (location, specs, values) => Object.entries(specs).flatMap(([name, spec]) => {
+  const raw = values[name];
+  // Empty values (start_date=) mean "not given", as they always have to the handlers
+  if (raw === undefined || raw === '') {
+    return spec.required ? [{ in: location, name, message: 'is required' }] : [];
+  }
+  if (typeof raw !== 'string') {
+    return [{ in: location, name, message: 'must be given once, as a plain value' }];
+  }
+  const problem = checkValue(spec, raw.trim());
+  return problem ? [{ in: location, name, ...problem }] : [];
+});
+
+// start_date/end_date style pairs: both or neither, and in order
+const checkRanges = (ranges, query) => ranges.flatMap(([startName, endName]) => {
+  const start = query[startName];
+  const end = query[endName];
+  if (!start && !end) return [];
+  if (!start || !end) {
+    return [{ in: 'query', name: start ? endName : startName, message: `${startName} and ${endName} must be given together` }];
+  }
+  return String(start) > String(end) ? [{ in: 'query', name: endName, message: `must not be before ${startName}` }] : [];
+});
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Problems with a whole request against a route schema
+const validateRequest = (schema, req) => {
+  const problems = [
+    ...checkParameters('path', schema.params || {}, req.params),
+    ...checkParameters('query', schema.query || {}, req.query)
+  ];
+  // Ranges are only compared once both dates are individually valid
+  if (problems.length === 0 && schema.ranges) problems.push(...checkRanges(schema.ranges, req.query));
+
+  // JSON bodies must at least be objects - their fields are checked by the route's own validator
+  if (schema.body && !schema.body.contentType && !isPlainObject(req.body)) {
+    problems.push({ in: 'body', name: 'body', message: 'must be a JSON object' });
+  }
+  return problems;
+};
+
+// Middleware rejecting requests that don't match `schema`; the schema stays attached for openapi.js
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const problems = validateRequest(schema, req);
+    if (problems.length === 0) return next();
+
+    const [first] = problems;
+    res.status(400).json({
+      error: problems.length > 1 ? 'Invalid request parameters' : first.in === 'body' ? 'Invalid request body' : `Invalid ${first.name} parameter`,
+      code: 'VALIDATION_ERROR',
+      details: problems
+    });
+  };
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = {
+  param,
+  allowedValues,
+  validateRequest,
+  validate
+};
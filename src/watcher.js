@@ -0,0 +1,169 @@
+// watcher.js - Detects new loan and NPL data and notifies subscribers
+//
+// Every DATA_EVENTS_POLL_MS, while at least one subscriber is connected, the watcher reads
+// MAX(load_date)/MAX(processed_at) of each loan table and MAX(report_date) of each NPL table
+// and emits one event per table that moved. Routes that write data (ingestion) call check()
+// so subscribers hear about it without waiting for the next poll. Recent events are kept so
+// a reconnecting client can catch up from its last event id.
+
+const { EventEmitter } = require('events');
+const moment = require('moment');
+const { resolveLoanTables, resolveNplTelcos } = require('./registry');
+const { logger, requestContext } = require('./logger');
+
+const DATA_EVENTS_POLL_MS = parseInt(process.env.DATA_EVENTS_POLL_MS) || 30000;
+const DATA_EVENTS_HISTORY = parseInt(process.env.DATA_EVENTS_HISTORY) || 100;
+
+// Most load_dates listed for a single new processed_at version
+const MAX_REPORTED_LOAD_DATES = 31;
+
+const formatDate = (value) => (value ? moment(value).format('YYYY-MM-DD') : null);
+const formatDateTime = (value) => (value ? moment(value).format('YYYY-MM-DD HH:mm:ss') : null);
+
+const createDataWatcher = (pool) => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  let state = null;
+  let timer = null;
+  let checking = null;
+  let sequence = 0;
+  const recent = [];
+
+  // Current freshness of every registered table, keyed by table name
+  const readState = async () => {
+    const next = new Map();
+
+    for (const { id, table, telco, filter } of resolveLoanTables('all')) {
+      const [[row]] = await pool.query(
+        `SELECT MAX(load_date) AS latest_date, MAX(processed_at) AS processed_at FROM ${table} WHERE ${filter}`
+      );
+      next.set(table, {
+        type: 'loan',
+        telco: id,
+        telco_name: telco,
+        table,
+        latest_date: formatDate(row.latest_date),
+        processed_at: formatDateTime(row.processed_at)
+      });
+    }
+
+    for (const telco of resolveNplTelcos('all')) {
+      for (const [role, table] of Object.entries(telco.npl_tables)) {
+        const [[row]] = await pool.query(`SELECT MAX(report_date) AS latest_date FROM ${table}`);
+        next.set(table, {
+          type: 'npl',
+          telco: telco.id,
+          telco_name: telco.name,
+          table,
+          role,
+          latest_date: formatDate(row.latest_date)
+        });
+      }
+    }
+
+    return next;
+  };
+
+  // Load dates written by versions newer than `since` - tells a client which days to refetch
+  const loadDatesSince = async (table, since) => {
+    const [rows] = await pool.query(
+      `SELECT DISTINCT DATE(load_date) AS load_date FROM ${table} WHERE processed_at > ? ORDER BY load_date DESC LIMIT ?`,
+      [since, MAX_REPORTED_LOAD_DATES]
+    );
+    return rows.map(row => formatDate(row.load_date));
+  };
+
+  const describeChange = async (previous, current) => {
+    const changes = {};
+    if (current.latest_date !== previous.latest_date) {
+      changes[current.type === 'npl' ? 'report_date' : 'load_date'] = { previous: previous.latest_date, current: current.latest_date };
+    }
+    if (current.type === 'loan' && current.processed_at !== previous.processed_at) {
+      changes.processed_at = { previous: previous.processed_at, current: current.processed_at };
+      changes.load_dates = previous.processed_at ? await loadDatesSince(current.table, previous.processed_at) : [];
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+  };
+
+  const runCheck = async () => {
+    const next = await readState();
+    const events = [];
+
+    // The first read only records a baseline
+    if (state) {
+      for (const [table, current] of next) {
+        const previous = state.get(table) || { latest_date: null, processed_at: null };
+        const changes = await describeChange(previous, current);
+        if (changes) {
+          events.push({
+            type: current.type,
+            telco: current.telco,
+            telco_name: current.telco_name,
+            table,
+            ...(current.role ? { role: current.role } : {}),
+            changes,
+            detected_at: new Date().toISOString()
+          });
+        }
+      }
+    }
+    state = next;
+
+    events.forEach(event => {
+      event.id = ++sequence;
+      recent.push(event);
+      if (recent.length > DATA_EVENTS_HISTORY) recent.shift();
+      emitter.emit('data', event);
+    });
+    if (events.length > 0) {
+      logger.info('New data detected', { tables: events.map(event => event.table) });
+    }
+    return events;
+  };
+
+  // Poll now; concurrent callers share the check already in progress
+  const check = () => {
+    if (!checking) {
+      checking = runCheck().finally(() => { checking = null; });
+    }
+    return checking;
+  };
+
+  const tick = () => check().catch(error => logger.error('Data watcher check failed', { error }));
+
+  // Started outside the subscribing request's context so later polls aren't logged against it
+  const startPolling = () => requestContext.exit(() => {
+    if (timer) return;
+    timer = setInterval(tick, DATA_EVENTS_POLL_MS);
+    timer.unref();
+    tick();
+  });
+
+  const stopPolling = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  // Listen for data events; polling runs only while someone is listening. Returns an unsubscribe function.
+  const subscribe = (listener) => {
+    emitter.on('data', listener);
+    startPolling();
+    return () => {
+      emitter.off('data', listener);
+      if (emitter.listenerCount('data') === 0) stopPolling();
+    };
+  };
+
+  // Table freshness as of the last check (empty until the first check completes)
+  const snapshot = () => (state ? Array.from(state.values()) : []);
+
+  // Retained events after a given event id, oldest first
+  const eventsSince = (id) => recent.filter(event => event.id > id);
+
+  const subscriberCount = () => emitter.listenerCount('data');
+
+  return { check, subscribe, snapshot, eventsSince, subscriberCount, stop: stopPolling };
+};
+
+module.exports = { createDataWatcher };
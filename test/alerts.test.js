@@ -0,0 +1,183 @@
+// Alert rule validation, evaluation and webhook delivery against a local webhook receiver
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createAlertEngine, postJson } = require('../src/alerts');
+
+// Webhook receiver on a random port; records every POSTed JSON body
+const startReceiver = (status = 204) => new Promise(resolve => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, contentType: req.headers['content-type'], body: JSON.parse(body) });
+      res.statusCode = status;
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({
+    server,
+    received,
+    url: `http://127.0.0.1:${server.address().port}/hook`
+  }));
+});
+
+// Pool answering the engine's queries from `rules`, recording updates and events
+const fakePool = (rules) => {
+  const updates = [];
+  const events = [];
+  return {
+    updates,
+    events,
+    query: async (sql, params) => {
+      if (sql.startsWith('SELECT * FROM alert_rules')) return [rules.map(rule => ({ ...rule })), []];
+      if (sql.includes('MAX(load_date) AS latest_date')) return [[{ latest_date: '2025-08-06' }], []];
+      if (sql.startsWith('UPDATE alert_rules')) {
+        updates.push(params);
+        return [{ affectedRows: 1 }, []];
+      }
+      if (sql.includes('INSERT INTO alert_events')) {
+        events.push(params);
+        return [{ insertId: events.length }, []];
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+};
+
+const metricRule = (overrides = {}) => ({
+  id: 1,
+  name: 'Airtel recovery rate',
+  rule_type: 'metric',
+  telco: 'airtel',
+  loan_type: null,
+  metric: 'gross_recovered/gross_lent',
+  operator: 'lt',
+  threshold: '0.9',
+  window_days: 7,
+  deadline_time: null,
+  webhook_url: null,
+  enabled: 1,
+  state: 'ok',
+  last_value: null,
+  last_evaluated_at: null,
+  ...overrides
+});
+
+const createEngine = (pool, totals, calls = []) => createAlertEngine({
+  pool,
+  loanMetrics: ['gross_lent', 'gross_recovered'],
+  nplMetrics: ['arrears_percentage'],
+  fetchMetricTotals: async (tables, options) => {
+    calls.push(options);
+    return totals;
+  },
+  fetchNplSnapshots: async () => []
+});
+
+test('postJson posts the payload as JSON and resolves with the status', async (t) => {
+  const receiver = await startReceiver(202);
+  t.after(() => receiver.server.close());
+
+  const status = await postJson(receiver.url, { hello: 'world' });
+
+  assert.strictEqual(status, 202);
+  assert.deepStrictEqual(receiver.received, [{ method: 'POST', contentType: 'application/json', body: { hello: 'world' } }]);
+});
+
+test('postJson rejects when nothing is listening', async () => {
+  const receiver = await startReceiver();
+  const { url } = receiver;
+  await new Promise(resolve => receiver.server.close(resolve));
+
+  await assert.rejects(postJson(url, {}), { code: 'ECONNREFUSED' });
+});
+
+test('validateRule defaults window_days to 1', () => {
+  const engine = createEngine(fakePool([]), {});
+  const { errors, rule } = engine.validateRule({ ...metricRule(), window_days: undefined });
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(rule.window_days, 1);
+});
+
+test('validateRule rejects window_days below 1 or not a whole number', () => {
+  const engine = createEngine(fakePool([]), {});
+
+  [0, -3, '-1', 2.5, 'week'].forEach(windowDays => {
+    const { errors } = engine.validateRule({ ...metricRule(), window_days: windowDays });
+    assert.deepStrictEqual(errors, ['window_days must be a whole number of at least 1'], `window_days ${windowDays}`);
+  });
+});
+
+test('a breached metric rule fires once and delivers the event to its webhook', async (t) => {
+  const receiver = await startReceiver();
+  t.after(() => receiver.server.close());
+
+  const rules = [metricRule({ webhook_url: receiver.url })];
+  const pool = fakePool(rules);
+  const calls = [];
+  const engine = createEngine(pool, { gross_recovered: 80, gross_lent: 100 }, calls);
+
+  const [result] = await engine.evaluateAll('manual');
+
+  assert.strictEqual(result.state, 'firing');
+  assert.strictEqual(result.value, 0.8);
+  assert.deepStrictEqual(calls, [{
+    startDate: '2025-07-31',
+    endDate: '2025-08-06',
+    loanType: null,
+    metricNames: ['gross_recovered', 'gross_lent']
+  }]);
+  assert.deepStrictEqual(pool.updates, [['firing', 0.8, 1]]);
+
+  assert.strictEqual(receiver.received.length, 1);
+  const { body } = receiver.received[0];
+  assert.strictEqual(body.state, 'firing');
+  assert.strictEqual(body.previous_state, 'ok');
+  assert.strictEqual(body.trigger, 'manual');
+  assert.strictEqual(body.rule.id, 1);
+  assert.strictEqual(body.value, 0.8);
+
+  assert.strictEqual(pool.events.length, 1);
+  const [ruleId, previousState, state, , , trigger, webhookUrl, deliveryStatus, deliveryError] = pool.events[0];
+  assert.deepStrictEqual(
+    [ruleId, previousState, state, trigger, webhookUrl, deliveryStatus, deliveryError],
+    [1, 'ok', 'firing', 'manual', receiver.url, 'delivered', null]
+  );
+
+  // Still breached on the next run: no transition, so nothing is recorded or sent
+  rules[0].state = 'firing';
+  await engine.evaluateAll('schedule');
+  assert.strictEqual(pool.events.length, 1);
+  assert.strictEqual(receiver.received.length, 1);
+});
+
+test('a recovered rule resolves, and a failing webhook is recorded as failed', async (t) => {
+  const receiver = await startReceiver(500);
+  t.after(() => receiver.server.close());
+
+  const pool = fakePool([metricRule({ state: 'firing', webhook_url: receiver.url })]);
+  const engine = createEngine(pool, { gross_recovered: 95, gross_lent: 100 });
+
+  const [result] = await engine.evaluateAll('new_data');
+
+  assert.strictEqual(result.state, 'ok');
+  assert.strictEqual(receiver.received[0].body.state, 'resolved');
+  const [, previousState, state, , , , , deliveryStatus, deliveryError] = pool.events[0];
+  assert.deepStrictEqual([previousState, state, deliveryStatus, deliveryError], ['firing', 'ok', 'failed', 'Webhook responded 500']);
+});
+
+test('a rule without data keeps its state', async () => {
+  const pool = fakePool([metricRule({ state: 'firing' })]);
+  const engine = createEngine(pool, { gross_recovered: 0, gross_lent: 0 });
+
+  const [result] = await engine.evaluateAll('manual');
+
+  assert.strictEqual(result.state, 'firing');
+  assert.match(result.message, /gross_lent is zero/);
+  assert.deepStrictEqual(pool.events, []);
+});
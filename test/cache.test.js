@@ -0,0 +1,48 @@
+// Query cache keys: which query values are case-folded
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createQueryCache } = require('../src/cache');
+const { param, validate } = require('../src/validation');
+
+const schema = validate({
+  query: {
+    telco: param.telco(),
+    cursor: param.string()
+  }
+});
+
+const fakePool = { query: async () => [[{ processed_at: null, latest_date: null }], []] };
+
+// Run one request through the middleware; resolves with X-Cache and the body sent
+const request = (cache, query, body) => new Promise(resolve => {
+  const req = { baseUrl: '', path: '/api/loan-data', query, route: { stack: [{ handle: schema }] }, auth: { telcos: null, role: 'viewer' } };
+  const headers = {};
+  const res = {
+    statusCode: 200,
+    set: (name, value) => { headers[name] = value; },
+    json: (sent) => resolve({ cache: headers['X-Cache'], body: sent })
+  };
+  cache.middleware('loan')(req, res, () => res.json(body));
+});
+
+test('cursors differing only in case get their own entries', async () => {
+  const cache = createQueryCache(fakePool);
+
+  await request(cache, { cursor: 'eyJkIjoiQWJj' }, { page: 1 });
+  const other = await request(cache, { cursor: 'EYjKiJOIqwJJ' }, { page: 2 });
+  const again = await request(cache, { cursor: 'eyJkIjoiQWJj' }, { page: 'unused' });
+
+  assert.deepStrictEqual(other, { cache: 'MISS', body: { page: 2 } });
+  assert.deepStrictEqual(again, { cache: 'HIT', body: { page: 1 } });
+});
+
+test('enum values share an entry whatever their case', async () => {
+  const cache = createQueryCache(fakePool);
+
+  await request(cache, { telco: 'airtel' }, { telco: 'airtel' });
+  const upper = await request(cache, { telco: ' Airtel' }, { telco: 'unused' });
+
+  assert.deepStrictEqual(upper, { cache: 'HIT', body: { telco: 'airtel' } });
+});